@@ -3,6 +3,7 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import imageRoutes from './routes/image-routes.js';
+import { serveResultFile } from './controllers/image-controller.js';
 import templateRoutes from './routes/templateRoutes.js';
 import videoRoutes from './routes/video-routes.js';
 import authRoutes from './routes/auth-routes.js';
@@ -19,6 +20,7 @@ import { requestLogger, logger } from './middleware/logger.js';
 import config from './config/config.js';
 import cleanupService from './utils/cleanup-service.js';
 import accountDeletionCron from './jobs/account-deletion-cron.js';
+import { startJobQueue } from './jobs/job-queue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,6 +48,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Serve static HTML pages from src/public
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Processed results need the signed, expiring link from their job; never served as plain static files
+app.get('/uploads/results/:jobId/:fileName', serveResultFile);
+app.use('/uploads/results', (req, res) => res.status(404).json({ success: false, error: 'Result not found' }));
+
 app.use('/uploads', express.static(config.paths.uploads, {
     setHeaders: (res, path) => {
         if (path.endsWith('.png')) {
@@ -104,6 +110,10 @@ notificationService.start();
 // Start account deletion cron job
 accountDeletionCron.start();
 
+// Start background job queue (recovers jobs left over from a previous run)
+ensureDirectoryExists(config.jobs.dir);
+startJobQueue();
+
 // Create logs directory if it doesn't exist
 ensureDirectoryExists(config.paths.logs);
 
@@ -21,6 +21,16 @@ const parseFileSize = (sizeStr) => {
     return value * multipliers[unit];
 };
 
+// Helper function to parse per-type maps like 'batch-image:1,single-image:3'
+const parseTypeMap = (str) => {
+    if (!str) return null;
+    const entries = String(str).split(',')
+        .map(pair => pair.split(':').map(s => s.trim()))
+        .filter(([key, val]) => key && Number.isFinite(Number(val)))
+        .map(([key, val]) => [key, Number(val)]);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
 const config = {
     app: {
         port: process.env.PORT || 10000,
@@ -54,6 +64,103 @@ const config = {
         outputFormat: 'png', // PNG supports transparency
         quality: 100, // Maximum quality for transparency preservation
         useGpu: String(process.env.BACKGROUND_GPU_ENABLED || '').toLowerCase() === 'true', // default false
+        engine: process.env.BACKGROUND_ENGINE || 'transparent-background', // transparent-background | onnx | chroma
+        onnx: {
+            modelPath: path.resolve(__dirname, '../../', process.env.ONNX_MODEL_PATH || 'models/u2net.onnx'),
+            model: process.env.ONNX_MODEL || 'u2net', // u2net | modnet
+            inputSize: parseInt(process.env.ONNX_INPUT_SIZE) || 0, // 0 = model default (320 u2net, 512 modnet)
+            threads: parseInt(process.env.ONNX_THREADS) || 1,
+        },
+        chroma: {
+            color: process.env.CHROMA_KEY_COLOR || '', // e.g. #00ff00; empty = detect from image border
+            threshold: parseInt(process.env.CHROMA_THRESHOLD) || 40,
+            softness: parseInt(process.env.CHROMA_SOFTNESS) || 20,
+        },
+    },
+    jobs: {
+        store: process.env.JOB_STORE || 'mongo', // 'mongo' (durable) or 'memory' (ephemeral, dev only)
+        // Payload buffers and oversized results live here, one folder per job
+        // (kept outside the publicly served uploads dir)
+        dir: path.resolve(__dirname, '../../', process.env.JOBS_DIR || 'data/jobs'),
+        resultTtlMinutes: parseInt(process.env.JOB_RESULT_TTL_MINUTES) || 60,
+        stalledAfterSeconds: parseInt(process.env.JOB_STALLED_AFTER_SECONDS) || 300,
+        maxStalledAttempts: parseInt(process.env.JOB_MAX_STALLED_ATTEMPTS) || 3,
+        pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+        // Total jobs this instance runs at once, and optional per-type caps within that
+        concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+        typeConcurrency: parseTypeMap(process.env.JOB_TYPE_CONCURRENCY) || { 'batch-image': 1, 'video-composite': 1, 'video-preview': 1 },
+        // Higher runs first; active subscribers get a boost on top of their job type's lane
+        typePriority: parseTypeMap(process.env.JOB_TYPE_PRIORITY) || { 'single-image': 10, 'batch-image': 0 },
+        subscriberPriorityBoost: parseInt(process.env.JOB_SUBSCRIBER_PRIORITY_BOOST) || 20,
+        // CPU-heavy processors run in a bounded worker_threads pool to keep the HTTP loop responsive
+        useWorkerThreads: process.env.JOB_WORKER_THREADS_ENABLED !== 'false', // Default true
+        workerThreads: parseInt(process.env.JOB_WORKER_THREADS) || parseInt(process.env.JOB_CONCURRENCY) || 2,
+        // Per-type hard timeout in seconds; the worker running an overdue job is terminated
+        timeoutSeconds: parseTypeMap(process.env.JOB_TIMEOUT_SECONDS) || { 'single-image': 120, 'batch-image': 600 },
+        // Automatic retry policy: total attempts per type, backoff doubles after each failure
+        maxAttempts: parseTypeMap(process.env.JOB_MAX_ATTEMPTS) || { 'single-image': 2, 'batch-image': 2, 'video-composite': 2, 'video-preview': 2 },
+        retryBackoffSeconds: parseInt(process.env.JOB_RETRY_BACKOFF_SECONDS) || 5,
+        maxInlineResultBytes: parseFileSize(process.env.JOB_MAX_INLINE_RESULT) || 8 * 1024 * 1024, // Mongo docs cap at 16MB
+    },
+    results: {
+        // Where processed images go: 'local' (served from /uploads/results) or 'cloudinary' (private, signed URLs)
+        storage: process.env.RESULT_STORAGE || 'local',
+        dir: path.resolve(__dirname, '../../', process.env.UPLOADS_DIR || 'uploads', 'results'),
+        cloudinaryFolder: process.env.RESULT_CLOUDINARY_FOLDER || 'narayana_templates/bg_removed',
+        // HMAC key for the expiring links to local results
+        urlSecret: process.env.RESULT_URL_SECRET || process.env.JWT_SECRET || 'dev_result_url_secret_change_me',
+    },
+    ffmpeg: {
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+        ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+        // Hard limits per invocation; the process is killed when exceeded
+        timeoutSeconds: parseInt(process.env.FFMPEG_TIMEOUT_SECONDS) || 600,
+        probeTimeoutSeconds: parseInt(process.env.FFPROBE_TIMEOUT_SECONDS) || 30,
+    },
+    videoTemplates: {
+        // Longest video template (after trimming and speed change) accepted on upload
+        maxDurationSeconds: parseInt(process.env.MAX_TEMPLATE_DURATION_SECONDS) || 60,
+        // Source checks (ffprobe) before any processing: raw upload length, composite input length,
+        // and the accepted size range per side in display pixels
+        maxSourceDurationSeconds: parseInt(process.env.MAX_SOURCE_DURATION_SECONDS) || 600,
+        maxCompositeDurationSeconds: parseInt(process.env.MAX_COMPOSITE_DURATION_SECONDS) || 120,
+        minDimension: parseInt(process.env.VIDEO_MIN_DIMENSION) || 144,
+        maxDimension: parseInt(process.env.VIDEO_MAX_DIMENSION) || 4096,
+    },
+    fonts: {
+        // Bundled font files for text overlays, described by a manifest (see fonts/README.md)
+        dir: path.resolve(__dirname, '../../', process.env.FONTS_DIR || 'fonts'),
+        manifest: process.env.FONTS_MANIFEST || 'fonts.json',
+        // Generated fontconfig file (+ its cache) that adds the fonts dir for sharp/librsvg SVG text
+        fontconfigDir: path.resolve(__dirname, '../../', process.env.FONTCONFIG_DIR || 'data/fontconfig'),
+    },
+    music: {
+        // Background music catalogue for video composites (see music/README.md)
+        dir: path.resolve(__dirname, '../../', process.env.MUSIC_DIR || 'music'),
+        catalogue: process.env.MUSIC_CATALOGUE || 'catalogue.json',
+        // User music from POST /api/videos/upload-audio; destroyed by the cleanup service after the TTL
+        tempAudioFolder: process.env.TEMP_AUDIO_FOLDER || 'narayana_templates/temp_audio',
+        tempAudioTtlMinutes: parseInt(process.env.TEMP_AUDIO_TTL_MINUTES) || 24 * 60,
+    },
+    resultCache: {
+        // Finished single-image outputs keyed by a hash of the input bytes + processing options
+        enabled: process.env.RESULT_CACHE_ENABLED !== 'false',
+        dir: path.resolve(__dirname, '../../', process.env.RESULT_CACHE_DIR || 'data/result-cache'),
+        maxEntries: parseInt(process.env.RESULT_CACHE_MAX_ENTRIES) || 500,
+        maxBytes: parseFileSize(process.env.RESULT_CACHE_MAX_SIZE) || 200 * 1024 * 1024,
+        ttlMinutes: parseInt(process.env.RESULT_CACHE_TTL_MINUTES) || 24 * 60,
+    },
+    downloadCache: {
+        // Shared media downloaded for composites (template videos, banners, masks, catalogue music),
+        // plus probe results and processed template uploads, keyed by source URL; LRU on disk.
+        // User photos are never cached.
+        enabled: process.env.DOWNLOAD_CACHE_ENABLED !== 'false',
+        dir: path.resolve(__dirname, '../../', process.env.DOWNLOAD_CACHE_DIR || 'data/download-cache'),
+        maxEntries: parseInt(process.env.DOWNLOAD_CACHE_MAX_ENTRIES) || 1000,
+        maxBytes: parseFileSize(process.env.DOWNLOAD_CACHE_MAX_SIZE) || 2 * 1024 * 1024 * 1024,
+        ttlMinutes: parseInt(process.env.DOWNLOAD_CACHE_TTL_MINUTES) || 7 * 24 * 60,
+        // Largest single download (cached or not); bigger bodies are aborted with a 413
+        maxFileBytes: parseFileSize(process.env.DOWNLOAD_MAX_FILE_SIZE) || 500 * 1024 * 1024,
     },
     cleanup: {
         intervalMinutes: parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 
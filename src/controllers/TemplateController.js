@@ -1,14 +1,14 @@
 import cloudinary from '../utils/cloudinary.js';
 import fs from 'fs';
 import path from 'path';
-import { promisify } from 'util';
-import { exec } from 'child_process';
 import Template from '../models/Template.js';
-
-const execPromise = promisify(exec);
+import templateRenderer, { RENDER_FORMATS } from '../services/template-renderer.js';
+import { clientAbortSignal, probeDimensions, runFfmpeg } from '../utils/ffmpeg-runner.js';
+import { parseTemplatePhotoShape } from '../utils/photo-frame.js';
+import { parsePhotoSlots, parseTextSlots, slotAxis, templatePhotoSlots, templateTextSlots } from '../utils/template-slots.js';
 
 // Crop image using FFmpeg
-async function cropImageWithFFmpeg(inputPath, cropParams) {
+async function cropImageWithFFmpeg(inputPath, cropParams, { signal } = {}) {
   const { crop_x, crop_y, crop_w, crop_h, preview_w, preview_h } = cropParams;
 
   // Parse values
@@ -31,14 +31,9 @@ async function cropImageWithFFmpeg(inputPath, cropParams) {
   console.log(`   Crop area: ${cw}x${ch} at (${cx},${cy})`);
 
   try {
-    // Get original image dimensions using FFprobe (use -show_streams for images)
-    const probeCmd = `ffprobe -v error -show_entries stream=width,height -of csv=p=0:s=x "${inputPath}"`;
-    console.log(`   Probe command: ${probeCmd}`);
-    const { stdout: probeOut, stderr: probeErr } = await execPromise(probeCmd);
-    console.log(`   Probe output: "${probeOut.trim()}"`, probeErr ? `stderr: ${probeErr}` : '');
-
-    const dimensions = probeOut.trim().split('\n')[0]; // Take first line
-    const [origW, origH] = dimensions.split('x').map(Number);
+    // Get original image dimensions using FFprobe
+    const { width: origW, height: origH } = await probeDimensions(inputPath, { signal });
+    console.log(`   Probe output: ${origW}x${origH}`);
 
     if (!origW || !origH) {
       console.log('⚠️ Could not get image dimensions, skipping crop');
@@ -67,11 +62,10 @@ async function cropImageWithFFmpeg(inputPath, cropParams) {
     const outputPath = inputPath.replace(ext, `_cropped${ext}`);
 
     // Run FFmpeg crop
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "crop=${realW}:${realH}:${realX}:${realY}" -y "${outputPath}"`;
-    console.log(`   FFmpeg command: ${ffmpegCmd}`);
+    const args = ['-i', inputPath, '-vf', `crop=${realW}:${realH}:${realX}:${realY}`, '-y', outputPath];
+    console.log(`   FFmpeg args: ${args.join(' ')}`);
 
-    const { stdout: ffOut, stderr: ffErr } = await execPromise(ffmpegCmd);
-    if (ffErr) console.log(`   FFmpeg stderr: ${ffErr.substring(0, 200)}`);
+    await runFfmpeg(args, { label: 'FFmpeg image crop', signal });
 
     // Verify output file exists
     if (!fs.existsSync(outputPath)) {
@@ -88,6 +82,7 @@ async function cropImageWithFFmpeg(inputPath, cropParams) {
 
     return outputPath;
   } catch (err) {
+    if (signal?.aborted) throw err;
     console.error('❌ Crop error:', err.message);
     return inputPath;
   }
@@ -130,6 +125,26 @@ class TemplateController {
         return res.status(400).json({ success: false, error: 'No image file provided' });
       }
 
+      // Optional photo frame (shape / ring / shadow), as a JSON string
+      let photoShape = null;
+      try {
+        photoShape = parseTemplatePhotoShape(req.body.photo_shape);
+      } catch (e) {
+        try { fs.unlinkSync(req.file.path); } catch (_) {}
+        return res.status(400).json({ success: false, error: `Invalid photo_shape: ${e.message}` });
+      }
+
+      // Optional collage layout: JSON arrays of photo and text slots
+      let photoSlots = null;
+      let textSlots = null;
+      try {
+        photoSlots = parsePhotoSlots(req.body.photo_slots);
+        textSlots = parseTextSlots(req.body.text_slots);
+      } catch (e) {
+        try { fs.unlinkSync(req.file.path); } catch (_) {}
+        return res.status(400).json({ success: false, error: `Invalid slots: ${e.message}` });
+      }
+
       console.log('📤 Uploading image to Cloudinary...', {
         subcategory: subcategoryInput,
         filename: req.file.originalname,
@@ -160,6 +175,8 @@ class TemplateController {
       console.log('📐 hasCrop:', hasCrop);
 
       if (hasCrop) {
+        // FFmpeg is killed if the uploader disconnects
+        const signal = clientAbortSignal(res);
         try {
           filePathToUpload = await cropImageWithFFmpeg(req.file.path, {
             crop_x: req.body.crop_x,
@@ -168,8 +185,9 @@ class TemplateController {
             crop_h: req.body.crop_h,
             preview_w: req.body.preview_w,
             preview_h: req.body.preview_h,
-          });
+          }, { signal });
         } catch (cropErr) {
+          if (signal.aborted) throw cropErr;
           console.error('❌ Crop failed, using original:', cropErr.message);
           filePathToUpload = req.file.path;
         }
@@ -281,6 +299,15 @@ class TemplateController {
         console.warn('Invalid axis provided, using defaults. Error:', e?.message || e);
       }
 
+      // Slot-only uploads: fill the single-axis fields from the first slot so older app builds still place a photo and text
+      const hasPhotoAxisFields = ['photo_container_axis', 'photo_x', 'photo_w', 'photo_h'].some((k) => req.body[k] !== undefined);
+      const hasTextAxisFields = ['text_container_axis', 'text_x', 'text_w', 'text_h'].some((k) => req.body[k] !== undefined);
+      if (photoSlots?.length > 0) {
+        if (!hasPhotoAxisFields) photoAxis = slotAxis(photoSlots[0]);
+        if (!photoShape) photoShape = photoSlots[0].shape;
+      }
+      if (textSlots?.length > 0 && !hasTextAxisFields) textAxis = slotAxis(textSlots[0]);
+
       // Parse reference dimensions (for pixel-perfect app scaling)
       // Default: 270x480 (9:16 aspect ratio) - matches website editor
       let coordRef = { width: 270, height: 480 };
@@ -303,7 +330,10 @@ class TemplateController {
         main_category: normalizedMain,
         subcategory: normalizedSub,
         photo_container_axis: photoAxis,
+        photo_shape: photoShape,
         text_container_axis: textAxis,
+        photo_slots: photoSlots || [],
+        text_slots: textSlots || [],
         coordinate_reference: coordRef,
       });
 
@@ -318,7 +348,10 @@ class TemplateController {
           main_category: doc.main_category,
           created_at: doc.created_at,
           photo_container_axis: doc.photo_container_axis,
+          photo_shape: doc.photo_shape,
           text_container_axis: doc.text_container_axis,
+          photo_slots: templatePhotoSlots(doc),
+          text_slots: templateTextSlots(doc),
           coordinate_reference: doc.coordinate_reference,
         }
       });
@@ -382,10 +415,17 @@ class TemplateController {
         subcategory: t.subcategory || t.category || null,
         image_url: t.image_url,
         video_url: t.video_url || null,
+        poster_url: t.poster_url || null,
+        preview_url: t.preview_url || null,
+        duration: t.duration ?? null,
         resource_type: t.resource_type || 'image',
         serial_no: t.serial_no,
         photo_container_axis: t.photo_container_axis || { x: 0, y: 0, width: 100, height: 100 },
+        photo_shape: t.photo_shape || null,
         text_container_axis: t.text_container_axis || { x: 0, y: 0, width: 120, height: 50 },
+        // Older templates get a one-slot layout built from the axis fields
+        photo_slots: templatePhotoSlots(t),
+        text_slots: templateTextSlots(t),
         coordinate_reference: t.coordinate_reference || { width: 270, height: 480 },
       }));
 
@@ -443,9 +483,15 @@ class TemplateController {
         .lean();
 
       // Back-compat: ensure 'category' mirrors 'subcategory' in response objects
+      // Older docs predate the poster/preview and slot fields, so give every template the same shape
       const templates = templatesRaw.map(t => ({
         ...t,
         category: t.subcategory || t.category || null,
+        poster_url: t.poster_url || null,
+        preview_url: t.preview_url || null,
+        duration: t.duration ?? null,
+        photo_slots: templatePhotoSlots(t),
+        text_slots: templateTextSlots(t),
       }));
 
       return res.json({
@@ -681,6 +727,48 @@ class TemplateController {
       return res.status(500).json({ success: false, error: error?.message || 'Failed to delete template' });
     }
   }
+
+  // POST /api/templates/:id/render - flatten photos/texts/banner onto an image template
+  // Body: { overlays, dimensions?, width?, height?, format?: png|jpeg|webp, quality? }
+  // Responds with the rendered image bytes
+  renderTemplate = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { overlays = {}, dimensions, width, height, quality } = req.body || {};
+      const format = String(req.body?.format || req.query?.format || 'png').toLowerCase();
+
+      if (!RENDER_FORMATS[format]) {
+        return res.status(400).json({ success: false, error: `format must be one of: ${Object.keys(RENDER_FORMATS).join(', ')}` });
+      }
+      for (const [name, value] of Object.entries({ width, height })) {
+        if (value !== undefined && (!Number.isFinite(Number(value)) || Number(value) <= 0)) {
+          return res.status(400).json({ success: false, error: `${name} must be a positive number` });
+        }
+      }
+
+      let doc;
+      try {
+        doc = await Template.findById(id).lean();
+      } catch (e) {
+        if (e?.name === 'CastError') return res.status(400).json({ success: false, error: 'Invalid template id' });
+        throw e;
+      }
+      if (!doc) return res.status(404).json({ success: false, error: 'Template not found' });
+      if (!doc.image_url) return res.status(400).json({ success: false, error: 'Template has no image to render' });
+
+      const startTime = Date.now();
+      const rendered = await templateRenderer.render(doc, overlays, { dimensions, width, height, format, quality });
+      console.log(`🖼️ Rendered template ${id} as ${rendered.format} ${rendered.width}x${rendered.height} in ${Date.now() - startTime}ms`);
+
+      res.set('Content-Type', rendered.contentType);
+      res.set('Content-Disposition', `inline; filename="template_${doc.serial_no || id}.${rendered.format === 'jpeg' ? 'jpg' : rendered.format}"`);
+      return res.status(200).send(rendered.buffer);
+    } catch (error) {
+      console.error('❌ Error in renderTemplate:', error);
+      // 413 for overlay images over the renderer's size limits
+      return res.status(error?.status || 500).json({ success: false, error: error?.message || 'Failed to render template' });
+    }
+  }
 }
 
 export default new TemplateController();
@@ -1,40 +1,279 @@
 import config from '../config/config.js';
-import { createJob, getJob, registerProcessor } from '../jobs/job-queue.js';
-import { processSingle as singleProcessor, processBatch as batchProcessor } from '../jobs/processors/image-processor.js';
+import User from '../models/User.js';
+import Template from '../models/Template.js';
+import { createCompletedJob, createJob, getJob, getQueueInfo, jobEvents, registerProcessor, requestCancel, retryJob as requeueJob } from '../jobs/job-queue.js';
+import { threadedProcessor } from '../jobs/worker-pool.js';
+import { ENGINE_NAMES, defaultEngineName, isKnownEngine } from '../jobs/processors/background-removers/index.js';
+import { cachedSingleResult } from '../jobs/processors/image-processor.js';
+import { cacheKey, getCached } from '../utils/result-cache.js';
+import { readResultFile, verifiedLocalResultPath } from '../utils/result-storage.js';
+import { parseColor } from '../utils/color.js';
 import { logger } from '../middleware/logger.js';
 
 // Register processors once (no-op if re-registered)
-registerProcessor('single-image', singleProcessor);
-registerProcessor('batch-image', batchProcessor);
+// Background removal runs on worker threads so inference never blocks the event loop
+const imageProcessorUrl = new URL('../jobs/processors/image-processor.js', import.meta.url);
+const timeoutMs = (type) => (Number(config.jobs.timeoutSeconds?.[type]) || 0) * 1000;
+registerProcessor('single-image', threadedProcessor(imageProcessorUrl, 'processSingle', { timeoutMs: timeoutMs('single-image') }));
+registerProcessor('batch-image', threadedProcessor(imageProcessorUrl, 'processBatch', { timeoutMs: timeoutMs('batch-image') }));
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+const MAX_STREAM_JOBS = 50;
+
+// Base64 data URLs in results are opt-in when reading them (?inline=1); by default results carry storage URLs
+function wantsInline(req) {
+    const raw = req.query?.inline ?? req.body?.inline ?? req.headers['x-inline-results'];
+    return ['1', 'true', 'yes'].includes(String(raw || '').toLowerCase());
+}
+
+// Add `processedImage` (base64 data URL) to each stored output of a result, read back from result storage
+async function withInlineImages(jobId, result) {
+    const embed = async (item) => {
+        if (!item?.processedImageUrl) return item;
+        try {
+            const buffer = await readResultFile(jobId, { ...item, contentType: item.metadata?.contentType });
+            return { ...item, processedImage: `data:${item.metadata?.contentType || 'image/png'};base64,${buffer.toString('base64')}` };
+        } catch (err) {
+            return { ...item, inlineError: `Stored result could not be read: ${err?.message || err}` };
+        }
+    };
+    if (!Array.isArray(result?.results)) return embed(result);
+    // One image at a time to keep memory flat on large batches
+    const results = [];
+    for (const item of result.results) results.push(await embed(item));
+    return { ...result, results };
+}
+
+// Strict mode: a failed removal fails the item instead of falling back to the original
+function wantsStrict(req) {
+    const raw = req.query?.strict ?? req.body?.strict ?? req.headers['x-strict'];
+    return ['1', 'true', 'yes'].includes(String(raw || '').toLowerCase());
+}
+
+// Per-request engine override (?engine=onnx); undefined means the configured default
+function requestedEngine(req) {
+    const raw = req.query?.engine ?? req.body?.engine ?? req.headers['x-bg-engine'];
+    const name = String(raw || '').trim();
+    return name || undefined;
+}
+
+function unknownEngineResponse(res, engine) {
+    return res.status(400).json({
+        success: false,
+        error: `Unknown background removal engine: ${engine}`,
+        engines: ENGINE_NAMES
+    });
+}
+
+// Matte refinement parameters, sent alongside max_size (form fields or query string)
+// Numeric fields: [name, key, min, max]; out-of-range values are rejected with 400
+const REFINE_FIELDS = [
+    ['feather', 'feather', 0, 50],
+    ['alpha_threshold', 'alphaThreshold', 0, 255],
+    ['erode', 'erode', 0, 50],
+    ['dilate', 'dilate', 0, 50],
+];
+const CROP_FIELDS = [['crop_padding', 'padding', 0, 1000]];
+const STROKE_FIELDS = [['stroke_width', 'width', 0, 50]];
+const SHADOW_FIELDS = [
+    ['shadow_blur', 'blur', 0, 100],
+    ['shadow_offset_x', 'offsetX', -200, 200],
+    ['shadow_offset_y', 'offsetY', -200, 200],
+    ['shadow_opacity', 'opacity', 0, 1],
+];
+
+function readParam(req, name) {
+    const raw = req.body?.[name] ?? req.query?.[name];
+    return raw === undefined || raw === '' ? undefined : raw;
+}
+
+function isTruthy(value) {
+    return ['1', 'true', 'yes', 'on'].includes(String(value ?? '').toLowerCase());
+}
+
+function readNumbers(req, fields, target) {
+    for (const [name, key, min, max] of fields) {
+        const raw = readParam(req, name);
+        if (raw === undefined) continue;
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`${name} must be a number between ${min} and ${max}`);
+        }
+        target[key] = value;
+    }
+    return target;
+}
+
+// Returns { refine } (null when nothing was requested) or { error } for a 400 response
+function readRefinement(req) {
+    try {
+        const refine = readNumbers(req, REFINE_FIELDS, {});
+        for (const key of ['erode', 'dilate']) {
+            if (refine[key] !== undefined) refine[key] = Math.round(refine[key]);
+        }
+
+        if (isTruthy(readParam(req, 'crop')) || readParam(req, 'crop_padding') !== undefined) {
+            refine.crop = readNumbers(req, CROP_FIELDS, { padding: 0 });
+        }
+
+        const stroke = readNumbers(req, STROKE_FIELDS, {});
+        if (stroke.width > 0) {
+            stroke.width = Math.round(stroke.width);
+            stroke.color = readParam(req, 'stroke_color');
+            if (stroke.color && !parseColor(stroke.color)) throw new Error('stroke_color is not a valid colour');
+            refine.stroke = stroke;
+        }
+
+        if (isTruthy(readParam(req, 'shadow'))) {
+            const shadow = readNumbers(req, SHADOW_FIELDS, {});
+            shadow.color = readParam(req, 'shadow_color');
+            if (shadow.color && !parseColor(shadow.color)) throw new Error('shadow_color is not a valid colour');
+            refine.shadow = shadow;
+        }
+
+        return { refine: Object.keys(refine).length > 0 ? refine : null };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+// Replacement background for /process: an uploaded `background` image, background_color,
+// background_gradient_from/_to/_angle, or a template_id whose image_url is used.
+// A template also supplies the canvas (coordinate_reference) and photo placement (photo_container_axis),
+// so e.g. a solid colour can be laid out like a template. output_scale multiplies the reference size.
+// Returns { background, layout } (both null when not requested) or { status, error }
+async function readBackground(req) {
+    const uploaded = req.files?.background?.[0];
+    const color = readParam(req, 'background_color');
+    const gradientFrom = readParam(req, 'background_gradient_from');
+    const gradientTo = readParam(req, 'background_gradient_to');
+    const templateId = readParam(req, 'template_id');
+
+    let background = null;
+    if (uploaded) {
+        background = { type: 'image', file: { buffer: uploaded.buffer, mimetype: uploaded.mimetype } };
+    } else if (color !== undefined) {
+        if (!parseColor(color)) return { status: 400, error: 'background_color is not a valid colour' };
+        background = { type: 'color', color };
+    } else if (gradientFrom !== undefined || gradientTo !== undefined) {
+        if (!parseColor(gradientFrom) || !parseColor(gradientTo)) {
+            return { status: 400, error: 'background_gradient_from and background_gradient_to must both be valid colours' };
+        }
+        const angle = Number(readParam(req, 'background_gradient_angle') ?? 180);
+        if (!Number.isFinite(angle)) return { status: 400, error: 'background_gradient_angle must be a number' };
+        background = { type: 'gradient', from: gradientFrom, to: gradientTo, angle };
+    }
+
+    let layout = null;
+    if (templateId !== undefined) {
+        let template;
+        try {
+            template = await Template.findById(templateId).select('image_url photo_container_axis coordinate_reference').lean();
+        } catch {
+            return { status: 400, error: 'template_id is not a valid id' };
+        }
+        if (!template) return { status: 404, error: 'Template not found' };
+
+        const scale = Number(readParam(req, 'output_scale') ?? 1);
+        if (!Number.isFinite(scale) || scale < 1 || scale > 4) {
+            return { status: 400, error: 'output_scale must be a number between 1 and 4' };
+        }
+        layout = {
+            templateId: String(template._id),
+            reference: template.coordinate_reference || { width: 270, height: 480 },
+            photo: template.photo_container_axis || { x: 0, y: 0, width: 100, height: 100 },
+            scale,
+        };
+        if (!background) {
+            if (!template.image_url) return { status: 400, error: 'Template has no image_url to use as background' };
+            background = { type: 'template', imageUrl: template.image_url };
+        }
+    }
+
+    return { background, layout };
+}
+
+// Whether the (optionally) authenticated requester has an active subscription
+async function hasActiveSubscription(req) {
+    if (!req.user?.id) return false;
+    try {
+        const user = await User.findById(req.user.id).select('subscription').lean();
+        const sub = user?.subscription;
+        return sub?.status === 'active' && (!sub.currentPeriodEnd || sub.currentPeriodEnd > new Date());
+    } catch {
+        return false;
+    }
+}
 
 // Enqueue single image processing and return jobId immediately
 export const processImage = async (req, res) => {
     try {
-        if (!req.file) {
+        const file = req.file || req.files?.image?.[0];
+        if (!file) {
             throw new Error('No file uploaded');
         }
 
         const maxSize = parseInt(req.body?.max_size || req.query?.max_size || req.headers['x-max-size'] || '1024', 10);
+        const engine = requestedEngine(req);
+        if (engine && !isKnownEngine(engine)) {
+            return unknownEngineResponse(res, engine);
+        }
+        const { refine, error: refineError } = readRefinement(req);
+        if (refineError) {
+            return res.status(400).json({ success: false, error: refineError });
+        }
+        const { background, layout, status: backgroundStatus, error: backgroundError } = await readBackground(req);
+        if (backgroundError) {
+            return res.status(backgroundStatus).json({ success: false, error: backgroundError });
+        }
 
-        const job = createJob('single-image', {
+        const payload = {
             file: {
-                buffer: req.file.buffer,
-                mimetype: req.file.mimetype,
-                originalname: req.file.originalname,
-                size: req.file.size,
+                buffer: file.buffer,
+                mimetype: file.mimetype,
+                originalname: file.originalname,
+                size: file.size,
             },
-            options: { maxSize: isNaN(maxSize) ? 1024 : maxSize }
-        });
+            options: { maxSize: isNaN(maxSize) ? 1024 : maxSize, engine, refine, background, layout, strict: wantsStrict(req) }
+        };
 
         try {
             logger.info('Image received');
         } catch {}
 
+        // Same bytes + same output-affecting options as an earlier request: answer from the cache
+        if (config.resultCache.enabled) {
+            payload.options.cacheKey = cacheKey(file.buffer, {
+                maxSize: payload.options.maxSize,
+                engine: engine || defaultEngineName(),
+                refine,
+                background,
+                layout,
+            });
+            const cached = await getCached(payload.options.cacheKey);
+            if (cached) {
+                const job = await createCompletedJob('single-image', (jobId) => cachedSingleResult(payload, cached, { jobId }));
+                return res.status(200).json({
+                    success: true,
+                    jobId: job.id,
+                    status: job.status,
+                    queuedAt: job.createdAt,
+                    cached: true,
+                    result: wantsInline(req) ? await withInlineImages(job.id, job.result) : job.result,
+                    queuePosition: null,
+                    estimatedWaitMs: null
+                });
+            }
+        }
+
+        const job = await createJob('single-image', payload, { subscriber: await hasActiveSubscription(req) });
+
         return res.status(202).json({
             success: true,
             jobId: job.id,
             status: job.status,
-            queuedAt: job.createdAt
+            queuedAt: job.createdAt,
+            ...(await getQueueInfo(job))
         });
     } catch (error) {
         console.error('❌ Error enqueuing image:', error);
@@ -60,8 +299,16 @@ export const processBatch = async (req, res) => {
         }));
 
         const maxSize = parseInt(req.body?.max_size || req.query?.max_size || req.headers['x-max-size'] || '1024', 10);
+        const engine = requestedEngine(req);
+        if (engine && !isKnownEngine(engine)) {
+            return unknownEngineResponse(res, engine);
+        }
+        const { refine, error: refineError } = readRefinement(req);
+        if (refineError) {
+            return res.status(400).json({ success: false, error: refineError });
+        }
 
-        const job = createJob('batch-image', { files, options: { maxSize: isNaN(maxSize) ? 1024 : maxSize } });
+        const job = await createJob('batch-image', { files, options: { maxSize: isNaN(maxSize) ? 1024 : maxSize, engine, refine, strict: wantsStrict(req) } }, { subscriber: await hasActiveSubscription(req) });
 
         try {
             const count = files.length || 0;
@@ -73,7 +320,8 @@ export const processBatch = async (req, res) => {
             jobId: job.id,
             status: job.status,
             queuedAt: job.createdAt,
-            total: files.length
+            total: files.length,
+            ...(await getQueueInfo(job))
         });
     } catch (error) {
         console.error('❌ Error enqueuing batch:', error);
@@ -88,10 +336,12 @@ export const processBatch = async (req, res) => {
 export const getJobStatus = async (req, res) => {
     try {
         const { jobId } = req.params;
-        const job = getJob(jobId);
+        const job = await getJob(jobId);
         if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
 
-        const { id, status, progress, createdAt, updatedAt, result, error } = job;
+        const { id, status, progress, createdAt, updatedAt, error, retryAt } = job;
+        const result = job.result && wantsInline(req) ? await withInlineImages(id, job.result) : job.result;
+        const { queuePosition, estimatedWaitMs } = await getQueueInfo(job);
         // Disable caching for job status to avoid 304 responses
         res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
         res.set('Pragma', 'no-cache');
@@ -99,8 +349,191 @@ export const getJobStatus = async (req, res) => {
         res.set('Surrogate-Control', 'no-store');
         // Update Last-Modified to force fresh responses
         res.set('Last-Modified', new Date().toUTCString());
-        return res.json({ success: true, id, status, progress, createdAt, updatedAt, result, error });
+        return res.json({ success: true, id, status, progress, createdAt, updatedAt, queuePosition, estimatedWaitMs, retryAt, result, error });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message || 'Failed to fetch job status' });
     }
 };
+
+// Local result file (GET /uploads/results/:jobId/:fileName?expires=&signature=); only the signed,
+// unexpired URLs handed out in job results are served
+export const serveResultFile = (req, res) => {
+    const filePath = verifiedLocalResultPath(req.params.jobId, req.params.fileName, req.query);
+    if (!filePath) {
+        return res.status(403).json({ success: false, error: 'Result link is invalid or has expired' });
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(filePath, (err) => {
+        if (err && !res.headersSent) res.status(404).json({ success: false, error: 'Result not found' });
+    });
+};
+
+// Cancel a queued or processing job (DELETE /status/:jobId)
+export const cancelJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await getJob(jobId);
+        if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+        if (job.status !== 'queued' && job.status !== 'processing') {
+            return res.status(409).json({ success: false, error: `Job is already ${job.status}`, status: job.status });
+        }
+
+        const updated = await requestCancel(jobId);
+        // Processing jobs stop at the next checkpoint, so the cancellation is only requested here
+        const pending = updated?.status === 'processing';
+        return res.status(pending ? 202 : 200).json({
+            success: true,
+            id: jobId,
+            status: updated?.status || job.status,
+            cancelRequested: pending,
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message || 'Failed to cancel job' });
+    }
+};
+
+// Re-run a failed or cancelled job without re-uploading (POST /status/:jobId/retry)
+export const retryJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await getJob(jobId);
+        if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+        if (job.status !== 'failed' && job.status !== 'cancelled') {
+            return res.status(409).json({ success: false, error: `Only failed or cancelled jobs can be retried (job is ${job.status})`, status: job.status });
+        }
+        if (!job.payload) {
+            return res.status(410).json({ success: false, error: 'Job input is no longer available, please upload again' });
+        }
+
+        const requeued = await requeueJob(jobId);
+        if (!requeued) {
+            return res.status(409).json({ success: false, error: 'Job could not be requeued' });
+        }
+        const updated = await getJob(jobId);
+        return res.status(202).json({
+            success: true,
+            jobId,
+            status: updated?.status || 'queued',
+            ...(await getQueueInfo(updated))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message || 'Failed to retry job' });
+    }
+};
+
+// Push job transitions over Server-Sent Events instead of polling
+// GET /status/:jobId/events, or GET /status/events?ids=a,b,c for batch UIs
+// Events: queued, processing, progress, completed, failed, cancelled, error (unknown id), end
+export const streamJobEvents = async (req, res) => {
+    const ids = req.params.jobId
+        ? [req.params.jobId]
+        : [...new Set(String(req.query?.ids || '').split(',').map(s => s.trim()).filter(Boolean))];
+    if (ids.length === 0) {
+        return res.status(400).json({ success: false, error: 'At least one job id is required (ids=a,b,c)' });
+    }
+    if (ids.length > MAX_STREAM_JOBS) {
+        return res.status(400).json({ success: false, error: `At most ${MAX_STREAM_JOBS} jobs per stream` });
+    }
+
+    let jobs;
+    try {
+        jobs = await Promise.all(ids.map(id => getJob(id)));
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message || 'Failed to fetch job status' });
+    }
+    if (jobs.every(job => !job)) {
+        return res.status(404).json({ success: false, error: ids.length === 1 ? 'Job not found' : 'Jobs not found' });
+    }
+
+    res.status(200);
+    res.set('Content-Type', 'text/event-stream');
+    res.set('Cache-Control', 'no-store, no-transform');
+    res.set('Connection', 'keep-alive');
+    res.set('X-Accel-Buffering', 'no'); // disable proxy buffering
+    res.flushHeaders();
+
+    const inline = wantsInline(req);
+    const pending = new Set();
+    const last = new Map(); // jobId -> last status/progress sent
+    const chains = new Map(); // jobId -> tail of that job's publish sequence
+    let closed = false;
+
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const finish = () => {
+        if (closed) return;
+        send('end', { ids });
+        cleanup();
+        res.end();
+    };
+
+    const publish = async (job) => {
+        if (closed || !pending.has(job.id)) return;
+        const prev = last.get(job.id);
+        if (prev && prev.status === job.status && prev.progress === job.progress) return;
+        // A store read that started before a newer progress event must not move the bar back
+        if (prev?.status === 'processing' && job.status === 'processing' && job.progress < prev.progress) return;
+        last.set(job.id, { status: job.status, progress: job.progress });
+
+        const event = job.status === 'processing' && prev?.status === 'processing' ? 'progress' : job.status;
+        const data = {
+            id: job.id,
+            status: job.status,
+            progress: job.progress ?? 0,
+            updatedAt: job.updatedAt,
+            error: job.error || null,
+        };
+        if (job.status === 'queued') Object.assign(data, await getQueueInfo(job).catch(() => ({})));
+        if (job.status === 'completed') data.result = inline && job.result ? await withInlineImages(job.id, job.result) : job.result;
+        if (job.retryAt) data.retryAt = job.retryAt;
+        send(event, data);
+
+        if (TERMINAL_STATUSES.has(job.status)) {
+            pending.delete(job.id);
+            if (pending.size === 0) finish();
+        }
+    };
+
+    // Events for one job are sent one at a time, in the order they happened
+    const sequence = (id, task) => {
+        const next = (chains.get(id) || Promise.resolve()).then(task).catch(() => {});
+        chains.set(id, next);
+        return next;
+    };
+
+    // Re-read from the store so terminal events carry the stored result
+    const refresh = (id) => sequence(id, async () => {
+        const job = await getJob(id);
+        if (job) await publish(job);
+    });
+
+    const onJob = (evt) => {
+        if (!pending.has(evt.id)) return;
+        if (TERMINAL_STATUSES.has(evt.status) || evt.status === 'queued') refresh(evt.id);
+        else sequence(evt.id, () => publish(evt));
+    };
+
+    // Jobs processed by another instance only show up in the store
+    const poll = setInterval(() => { for (const id of pending) refresh(id); }, Math.max(1000, config.jobs.pollIntervalMs * 2));
+    const keepAlive = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, 20_000);
+
+    function cleanup() {
+        closed = true;
+        clearInterval(poll);
+        clearInterval(keepAlive);
+        jobEvents.off('job', onJob);
+    }
+
+    req.on('close', cleanup);
+    jobEvents.on('job', onJob);
+
+    jobs.forEach((job, i) => {
+        if (job) pending.add(job.id);
+        else send('error', { id: ids[i], error: 'Job not found' });
+    });
+    for (const job of jobs) {
+        if (job) await sequence(job.id, () => publish(job));
+    }
+};
@@ -1,27 +1,163 @@
 import cloudinary from '../utils/cloudinary.js';
 import fs from 'fs';
 import path from 'path';
-import { promisify } from 'util';
-import { exec } from 'child_process';
 import Template from '../models/Template.js';
-import axios from 'axios';
-
-const execPromise = promisify(exec);
+import config from '../config/config.js';
+import sharp from 'sharp';
+import { createJob, getQueueInfo, permanentError, registerProcessor } from '../jobs/job-queue.js';
+import { clientAbortSignal, filterPath, probeDuration, runFfmpeg, writeTextFile } from '../utils/ffmpeg-runner.js';
+import { mediaInfoFields, probeVideo, validateMedia } from '../utils/media-probe.js';
+import { acquire, cachedValue, downloadFile, hashFile, urlExtension } from '../utils/download-cache.js';
+import { toFfmpegColor } from '../utils/color.js';
+import { resolveFont } from '../utils/font-registry.js';
+import { layoutText, roundedRectSvg, textStyle } from '../utils/text-layout.js';
+import { frameLayers, framePhoto, parseTemplatePhotoShape, photoFrameOptions } from '../utils/photo-frame.js';
+import { enableExpr, fadeExpr, fadeFilters, isAnimated, kenBurnsFilter, overlayTiming, positionExpr, scaleExpr } from '../utils/overlay-animation.js';
+import { audioFilters, audioInputArgs, readAudioOptions } from '../utils/audio-mix.js';
+import { getTrack } from '../utils/music-catalogue.js';
+import { uploadTempAudio } from '../utils/temp-audio.js';
+import { PREVIEW_FORMATS, generateVideoPreviews } from '../utils/video-preview.js';
+import { OUTPUT_PRESETS, getOutputPreset, presetEncodeArgs, presetOutputSize, presetVideoFilter, validatePresetForSource } from '../utils/output-presets.js';
 
 // Standard output resolution for all videos (9:16 aspect ratio)
 const STANDARD_WIDTH = 1080;
 const STANDARD_HEIGHT = 1920;
+// Upload speed change range (atempo handles 0.5-2 per instance, so wider factors are chained)
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+// Join text steps into filter graph segments ending in [out]. Plain filters are chained with commas;
+// an { input, pre, overlay } step closes the current chain and overlays that input (a text background
+// image), after running its own `pre` filters (animations)
+function chainTextSteps(inputLabel, steps) {
+  const segments = [];
+  let label = inputLabel;
+  let chain = [];
+  let n = 0;
+  for (const step of steps) {
+    if (typeof step === 'string') {
+      chain.push(step);
+      continue;
+    }
+    if (chain.length) {
+      segments.push(`${label}${chain.join(',')}[txt${n}]`);
+      label = `[txt${n++}]`;
+      chain = [];
+    }
+    let source = `[${step.input}:v]`;
+    if (step.pre?.length) {
+      segments.push(`${source}${step.pre.join(',')}[txtbg${n}]`);
+      source = `[txtbg${n}]`;
+    }
+    segments.push(`${label}${source}${step.overlay}[txt${n}]`);
+    label = `[txt${n++}]`;
+  }
+  segments.push(`${label}${chain.length ? chain.join(',') : 'copy'}[out]`);
+  return segments;
+}
+
+// Image inputs need a frame per video frame (-loop 1) for fades, scale pops and Ken Burns;
+// slides and enable= windows work on a single still since overlay re-evaluates x/y every frame
+function needsLoopedInput(timing, kenBurns, clipDuration) {
+  const framed = [timing.enter?.type, timing.exit?.type].some((type) => type === 'fade' || type === 'scale');
+  return clipDuration > 0 && (!!kenBurns || framed);
+}
+
+function loopedInputArgs(clipDuration) {
+  return ['-loop', '1', '-t', String(clipDuration)];
+}
+
+// Filters on a looped image stream scaled to width x height: alpha fades, then the scale pop
+function animationFilters(timing, width, height) {
+  const fades = fadeFilters(timing);
+  const scale = scaleExpr(timing);
+  if (!fades.length && !scale) return [];
+  const filters = ['format=rgba', ...fades];
+  if (scale) filters.push(`scale=w='max(1,${width}*${scale})':h='max(1,${height}*${scale})':eval=frame`);
+  return filters;
+}
+
+// overlay=x:y with slide offsets, scale-pop centring and the enable= window; plain x:y when static
+function overlayFilter(timing, box, frame) {
+  const centred = scaleExpr(timing)
+    ? { x: `${box.left}+(${box.width}-w)/2`, y: `${box.top}+(${box.height}-h)/2` }
+    : { x: box.left, y: box.top };
+  const { x, y } = positionExpr(timing, centred, box, frame);
+  const enable = enableExpr(timing);
+  return `overlay=${filterExpr(x)}:${filterExpr(y)}${enable ? `:enable='${enable}'` : ''}`;
+}
+
+// atempo filters for a speed factor, each within atempo's 0.5-2 range
+function atempoChain(speed) {
+  const filters = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    filters.push('atempo=2');
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  filters.push(`atempo=${Number(remaining.toFixed(4))}`);
+  return filters.join(',');
+}
+
+// Quote option values that are expressions (commas would otherwise split the filter chain)
+function filterExpr(expr) {
+  return /^-?\d+$/.test(String(expr)) ? String(expr) : `'${expr}'`;
+}
+
+// Check the shape of a composite request (app dimensions and overlay boxes).
+// Returns an error message, or null when the job can run.
+function validateCompositeInput(overlays, dimensions) {
+  const isNumber = (value) => value !== null && value !== '' && Number.isFinite(Number(value));
+  const isPositive = (value) => isNumber(value) && Number(value) > 0;
+
+  if (!dimensions || typeof dimensions !== 'object' || !isPositive(dimensions.width) || !isPositive(dimensions.height)) {
+    return 'dimensions.width and dimensions.height must be positive numbers';
+  }
+  if (overlays === undefined || overlays === null) return null;
+  if (typeof overlays !== 'object' || Array.isArray(overlays)) return 'overlays must be an object';
+
+  for (const key of ['photos', 'texts']) {
+    if (overlays[key] !== undefined && !Array.isArray(overlays[key])) return `overlays.${key} must be an array`;
+  }
+  for (const [i, photo] of (overlays.photos || []).entries()) {
+    if (!photo || typeof photo !== 'object') return `overlays.photos[${i}] must be an object`;
+    if (!photo.uri) continue; // skipped by the job
+    if (!/^https?:\/\//i.test(String(photo.uri))) return `overlays.photos[${i}].uri must be an http(s) URL`;
+    if (!isNumber(photo.x) || !isNumber(photo.y)) return `overlays.photos[${i}].x and .y must be numbers`;
+    if (!isPositive(photo.width) || !isPositive(photo.height)) return `overlays.photos[${i}].width and .height must be positive numbers`;
+  }
+  for (const [i, text] of (overlays.texts || []).entries()) {
+    if (!text || typeof text !== 'object') return `overlays.texts[${i}] must be an object`;
+    if (!isNumber(text.x) || !isNumber(text.y)) return `overlays.texts[${i}].x and .y must be numbers`;
+    if (!isPositive(text.fontSize)) return `overlays.texts[${i}].fontSize must be a positive number`;
+    for (const key of ['width', 'height']) {
+      if (text[key] !== undefined && text[key] !== null && !isPositive(text[key])) return `overlays.texts[${i}].${key} must be a positive number`;
+    }
+  }
+  const banner = overlays.banner;
+  if (banner !== undefined && banner !== null) {
+    if (typeof banner !== 'object') return 'overlays.banner must be an object';
+    if (banner.uri) {
+      if (!/^https?:\/\//i.test(String(banner.uri))) return 'overlays.banner.uri must be an http(s) URL';
+      if (!isNumber(banner.x) || !isNumber(banner.y)) return 'overlays.banner.x and .y must be numbers';
+      if (!isPositive(banner.width) || !isPositive(banner.height)) return 'overlays.banner.width and .height must be positive numbers';
+    }
+  }
+  return null;
+}
 
 class VideoController {
   // Standardize video to 1080x1920 resolution using FFmpeg
-  async standardizeVideoResolution(inputPath) {
+  async standardizeVideoResolution(inputPath, { signal } = {}) {
     console.log('📐 Standardizing video to 1080x1920...');
 
     try {
-      // Get original video dimensions
-      const probeCmd = `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=s=x:p=0 "${inputPath}"`;
-      const { stdout: probeOut } = await execPromise(probeCmd);
-      const [origW, origH] = probeOut.trim().split('x').map(Number);
+      // Get original video dimensions (display size, so rotated phone videos are scaled the right way round)
+      const { width: origW, height: origH } = await probeVideo(inputPath, { signal });
 
       console.log(`   Original: ${origW}x${origH}`);
 
@@ -37,10 +173,13 @@ class VideoController {
 
       // Scale to 1080x1920, maintaining aspect ratio and padding if needed
       // Using scale and pad to ensure exact 1080x1920 output
-      const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "scale=${STANDARD_WIDTH}:${STANDARD_HEIGHT}:force_original_aspect_ratio=decrease,pad=${STANDARD_WIDTH}:${STANDARD_HEIGHT}:(ow-iw)/2:(oh-ih)/2:black" -c:v libx264 -preset fast -crf 23 -c:a copy -y "${outputPath}"`;
-
       console.log(`   Scaling to ${STANDARD_WIDTH}x${STANDARD_HEIGHT}...`);
-      await execPromise(ffmpegCmd);
+      await runFfmpeg([
+        '-i', inputPath,
+        '-vf', `scale=${STANDARD_WIDTH}:${STANDARD_HEIGHT}:force_original_aspect_ratio=decrease,pad=${STANDARD_WIDTH}:${STANDARD_HEIGHT}:(ow-iw)/2:(oh-ih)/2:black`,
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'copy',
+        '-y', outputPath,
+      ], { label: 'FFmpeg standardize', signal });
 
       // Verify output
       if (!fs.existsSync(outputPath)) {
@@ -57,18 +196,22 @@ class VideoController {
 
       return outputPath;
     } catch (err) {
+      if (signal?.aborted) throw err;
       console.error('   ❌ Standardization failed:', err.message);
       return inputPath;
     }
   }
 
   // Detect actual content area (excluding black bars/letterboxing) using FFmpeg cropdetect
-  async detectContentArea(videoPath) {
+  // throwOnError: fail instead of returning null, so callers caching the result don't keep a failed detection
+  async detectContentArea(videoPath, { signal, throwOnError = false } = {}) {
     try {
       console.log('🔍 Detecting content area (black bar detection)...');
       // Use cropdetect to find black bars - analyze first 1 second
-      const cmd = `ffmpeg -i "${videoPath}" -vf "cropdetect=24:16:0" -t 1 -f null - 2>&1`;
-      const { stderr } = await execPromise(cmd);
+      const { stderr } = await runFfmpeg(['-i', videoPath, '-vf', 'cropdetect=24:16:0', '-t', '1', '-f', 'null', '-'], {
+        label: 'FFmpeg cropdetect',
+        signal,
+      });
       const output = stderr || '';
 
       // Parse cropdetect output - looks for lines like: crop=1080:1620:0:150
@@ -91,13 +234,14 @@ class VideoController {
       console.log('   ℹ️ No letterboxing detected');
       return null;
     } catch (err) {
+      if (signal?.aborted || throwOnError) throw err;
       console.warn('   ⚠️ Could not detect content area:', err.message);
       return null;
     }
   }
 
   // Crop video using FFmpeg
-  async cropVideoWithFFmpeg(inputPath, cropParams) {
+  async cropVideoWithFFmpeg(inputPath, cropParams, { signal } = {}) {
     const { crop_x, crop_y, crop_w, crop_h, preview_w, preview_h } = cropParams;
 
     // Parse values
@@ -118,10 +262,8 @@ class VideoController {
     console.log(`   Preview dimensions: ${pw}x${ph}`);
     console.log(`   Crop area: ${cw}x${ch} at (${cx},${cy})`);
 
-    // Get original video dimensions using FFprobe
-    const probeCmd = `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=s=x:p=0 "${inputPath}"`;
-    const { stdout: probeOut } = await execPromise(probeCmd);
-    const [origW, origH] = probeOut.trim().split('x').map(Number);
+    // Get original video dimensions using FFprobe (display size: the preview shows rotated videos upright)
+    const { width: origW, height: origH } = await probeVideo(inputPath, { signal });
 
     console.log(`   Original video: ${origW}x${origH}`);
 
@@ -140,10 +282,10 @@ class VideoController {
     const outputPath = inputPath.replace(ext, `_cropped${ext}`);
 
     // Run FFmpeg crop (with audio copy)
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "crop=${realW}:${realH}:${realX}:${realY}" -c:a copy -y "${outputPath}"`;
-    console.log(`   FFmpeg command: ${ffmpegCmd}`);
+    const args = ['-i', inputPath, '-vf', `crop=${realW}:${realH}:${realX}:${realY}`, '-c:a', 'copy', '-y', outputPath];
+    console.log(`   FFmpeg args: ${args.join(' ')}`);
 
-    await execPromise(ffmpegCmd);
+    await runFfmpeg(args, { label: 'FFmpeg crop', signal });
 
     console.log('✅ Video cropped successfully');
 
@@ -153,6 +295,61 @@ class VideoController {
     return outputPath;
   }
 
+  // Cut a clip (seconds) and optionally change its speed; re-encodes so the cut is frame-accurate
+  async trimVideoWithFFmpeg(inputPath, { start = 0, end = null, speed = 1, hasAudio = true }, { signal } = {}) {
+    console.log(`✂️ Trimming video: ${start}s -> ${end ?? 'end'}${speed !== 1 ? ` at ${speed}x` : ''}`);
+
+    const ext = path.extname(inputPath);
+    const outputPath = inputPath.replace(ext, `_trimmed${ext}`);
+    const args = [];
+    if (start > 0) args.push('-ss', String(start));
+    if (end !== null) args.push('-to', String(end));
+    args.push('-i', inputPath, '-map', '0:v:0', '-map', '0:a?');
+    if (speed !== 1) {
+      args.push('-vf', `setpts=PTS/${speed}`);
+      if (hasAudio) args.push('-af', atempoChain(speed));
+    }
+    args.push('-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '192k', '-y', outputPath);
+
+    await runFfmpeg(args, { label: 'FFmpeg trim', signal });
+    console.log('✅ Video trimmed successfully');
+
+    // Delete original, return trimmed path
+    try { fs.unlinkSync(inputPath); } catch {}
+
+    return outputPath;
+  }
+
+  // Trim, crop and standardize an uploaded video (each step replaces and deletes its input); returns the final path
+  async processUploadedVideo(inputPath, { trim = null, crop = null }, { signal } = {}) {
+    let filePath = inputPath;
+
+    // Trim first so crop and standardization only process the kept clip
+    if (trim) {
+      filePath = await this.trimVideoWithFFmpeg(filePath, trim, { signal });
+    }
+
+    if (crop) {
+      try {
+        filePath = await this.cropVideoWithFFmpeg(filePath, crop, { signal });
+      } catch (cropErr) {
+        if (signal?.aborted) throw cropErr;
+        // filePath still points at the uncropped (possibly trimmed) video
+        console.error('❌ Video crop failed, using original:', cropErr.message);
+      }
+    }
+
+    // Standardize video to 1080x1920 resolution
+    try {
+      filePath = await this.standardizeVideoResolution(filePath, { signal });
+    } catch (stdErr) {
+      if (signal?.aborted) throw stdErr;
+      console.error('❌ Video standardization failed, continuing with current:', stdErr.message);
+    }
+
+    return filePath;
+  }
+
   // POST /api/videos/upload-photo
   async uploadPhoto(req, res) {
     const startTime = Date.now();
@@ -197,8 +394,47 @@ class VideoController {
     }
   }
 
+  // POST /api/videos/upload-audio - background music for composites (overlays.audio.uri)
+  async uploadAudio(req, res) {
+    const startTime = Date.now();
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'No audio file provided' });
+      }
+
+      console.log(`🎵 Uploading background music to Cloudinary...`, {
+        filename: req.file.originalname,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+      });
+
+      const uploadResult = await uploadTempAudio(req.file.path);
+
+      const uploadTime = Date.now() - startTime;
+      console.log(`✅ Music uploaded in ${uploadTime}ms: ${uploadResult.secure_url}`);
+
+      return res.status(200).json({
+        success: true,
+        url: uploadResult.secure_url,
+        duration: uploadResult.duration || null,
+        expiresAt: uploadResult.expiresAt,
+        uploadTime
+      });
+    } catch (error) {
+      console.error('❌ Music upload failed:', error.message);
+      return res.status(500).json({ success: false, error: error.message || 'Failed to upload audio' });
+    } finally {
+      if (req.file) {
+        try { fs.unlinkSync(req.file.path); } catch (_) {}
+      }
+    }
+  }
+
   // POST /api/videos/upload
   async upload(req, res) {
+    // Trimmed/standardized video and poster/preview files, removed if the upload fails
+    const workFiles = [];
     try {
       // Accept subcategory as primary
       const subcategoryInput = req.body.subcategory || req.body.sub_category || req.body.category;
@@ -212,6 +448,66 @@ class VideoController {
         return res.status(400).json({ success: false, error: 'No video file provided' });
       }
 
+      // Optional photo frame (shape / ring / shadow), as a JSON string
+      let photoShape = null;
+      try {
+        photoShape = parseTemplatePhotoShape(req.body.photo_shape);
+      } catch (e) {
+        try { fs.unlinkSync(req.file.path); } catch (_) {}
+        return res.status(400).json({ success: false, error: `Invalid photo_shape: ${e.message}` });
+      }
+
+      // Optional poster timestamp (seconds; default: first non-black frame) and preview format
+      const posterTime = req.body.poster_time !== undefined && req.body.poster_time !== '' ? Number(req.body.poster_time) : null;
+      const previewFormat = String(req.body.preview_format || 'webp').toLowerCase();
+      if ((posterTime !== null && (!Number.isFinite(posterTime) || posterTime < 0)) || !PREVIEW_FORMATS.includes(previewFormat)) {
+        try { fs.unlinkSync(req.file.path); } catch (_) {}
+        return res.status(400).json({ success: false, error: `poster_time must be a number of seconds >= 0 and preview_format one of: ${PREVIEW_FORMATS.join(', ')}` });
+      }
+
+      // Optional clip selection: trim_start / trim_end in seconds of the source, speed factor
+      const readSeconds = (value) => (value === undefined || value === '' ? null : Number(value));
+      const trimStart = readSeconds(req.body.trim_start) ?? 0;
+      const trimEnd = readSeconds(req.body.trim_end);
+      const speed = readSeconds(req.body.speed) ?? 1;
+      const rejectUpload = (status, error) => {
+        try { fs.unlinkSync(req.file.path); } catch (_) {}
+        return res.status(status).json({ success: false, error });
+      };
+      if (!Number.isFinite(trimStart) || trimStart < 0 || (trimEnd !== null && (!Number.isFinite(trimEnd) || trimEnd <= trimStart))) {
+        return rejectUpload(400, 'trim_start must be >= 0 and trim_end greater than trim_start (seconds)');
+      }
+      if (!Number.isFinite(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+        return rejectUpload(400, `speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+      }
+
+      // Probe the source before any processing: codec, resolution, streams and length
+      let source;
+      try {
+        source = await probeVideo(req.file.path);
+      } catch (probeErr) {
+        console.error('❌ Could not read uploaded video:', probeErr.message);
+        return rejectUpload(400, 'Could not read the video; the file may be corrupt or not a video');
+      }
+      const sourceError = validateMedia(source, { maxDuration: config.videoTemplates.maxSourceDurationSeconds });
+      if (sourceError) {
+        return rejectUpload(sourceError.status, sourceError.error);
+      }
+      console.log('🔍 Source video:', source);
+
+      // The source length decides whether the trim makes sense and whether the result fits the limit
+      const maxDuration = config.videoTemplates.maxDurationSeconds;
+      const sourceDuration = source.duration;
+      if (trimStart >= sourceDuration) {
+        return rejectUpload(400, `trim_start (${trimStart}s) is past the end of the video (${sourceDuration.toFixed(2)}s)`);
+      }
+      const clipEnd = trimEnd === null ? sourceDuration : Math.min(trimEnd, sourceDuration);
+      const clipDuration = (clipEnd - trimStart) / speed;
+      if (clipDuration > maxDuration) {
+        return rejectUpload(400, `Video is ${clipDuration.toFixed(1)}s after trimming; templates can be at most ${maxDuration}s. Use trim_start/trim_end to select a shorter clip.`);
+      }
+      const hasTrim = trimStart > 0 || clipEnd < sourceDuration || speed !== 1;
+
       console.log('📤 Uploading video to Cloudinary...', {
         subcategory: subcategoryInput,
         filename: req.file.originalname,
@@ -219,36 +515,74 @@ class VideoController {
         mimetype: req.file.mimetype,
       });
 
-      // Check if crop is requested
-      let filePathToUpload = req.file.path;
-      const hasCrop = req.body.crop_w && req.body.crop_h && req.body.preview_w && req.body.preview_h;
+      // FFmpeg runs are killed if the uploader disconnects
+      const signal = clientAbortSignal(res);
 
-      if (hasCrop) {
+      // Trim / crop / standardize. The result is cached by upload content + options, so uploading the same
+      // video again (e.g. into another subcategory) reuses the processed file instead of re-encoding it
+      const ext = path.extname(req.file.path) || '.mp4';
+      const hasCrop = req.body.crop_w && req.body.crop_h && req.body.preview_w && req.body.preview_h;
+      const crop = hasCrop ? {
+        crop_x: req.body.crop_x,
+        crop_y: req.body.crop_y,
+        crop_w: req.body.crop_w,
+        crop_h: req.body.crop_h,
+        preview_w: req.body.preview_w,
+        preview_h: req.body.preview_h,
+      } : null;
+      const trim = hasTrim
+        ? { start: trimStart, end: clipEnd < sourceDuration ? clipEnd : null, speed, hasAudio: source.hasAudio }
+        : null;
+      const uploadKey = `upload:${await hashFile(req.file.path)}`;
+      const processUpload = () => acquire(uploadKey, {
+        variant: `processed:${JSON.stringify({ trim, crop })}`,
+        ext,
+        produce: async (outPath) => {
+          const result = await this.processUploadedVideo(req.file.path, { trim, crop }, { signal });
+          try {
+            await fs.promises.copyFile(result, outPath);
+          } finally {
+            try { fs.unlinkSync(result); } catch (e) { /* ignore */ }
+          }
+        },
+      });
+      // Identical uploads running at the same time share one processing run, which is cancelled if the
+      // uploader who started it disconnects. The others then process their own copy instead of failing.
+      let processed;
+      for (let attempt = 1; !processed; attempt++) {
         try {
-          filePathToUpload = await this.cropVideoWithFFmpeg(req.file.path, {
-            crop_x: req.body.crop_x,
-            crop_y: req.body.crop_y,
-            crop_w: req.body.crop_w,
-            crop_h: req.body.crop_h,
-            preview_w: req.body.preview_w,
-            preview_h: req.body.preview_h,
-          });
-        } catch (cropErr) {
-          console.error('❌ Video crop failed, using original:', cropErr.message);
-          filePathToUpload = req.file.path;
+          processed = await processUpload();
+        } catch (err) {
+          if (signal.aborted || err?.message !== 'Cancelled by client' || attempt >= 3) throw err;
+          console.log('🔁 Shared processing was cancelled by another uploader; processing this upload');
         }
       }
+      if (processed.hit) console.log('♻️ Reusing processed video from cache');
+
+      let filePathToUpload = req.file.path.replace(ext, `_processed${ext}`);
+      try {
+        await fs.promises.copyFile(processed.path, filePathToUpload);
+      } finally {
+        processed.release();
+      }
 
-      // Standardize video to 1080x1920 resolution
+      // Metadata of the video we store; the poster frame and animated preview are made by a background job
+      let duration = null;
+      let mediaInfo = null;
       try {
-        filePathToUpload = await this.standardizeVideoResolution(filePathToUpload);
-      } catch (stdErr) {
-        console.error('❌ Video standardization failed, continuing with current:', stdErr.message);
+        const stored = await probeVideo(filePathToUpload, { signal });
+        duration = stored.duration || null;
+        mediaInfo = mediaInfoFields(stored);
+      } catch (probeErr) {
+        if (signal.aborted) throw probeErr;
+        console.warn('⚠️ Could not probe processed video:', probeErr.message);
       }
+      workFiles.push(filePathToUpload);
 
       // Upload video to Cloudinary
+      const folder = `narayana_templates/${String(subcategoryInput).toLowerCase().trim()}`;
       const uploadResult = await cloudinary.uploader.upload(filePathToUpload, {
-        folder: `narayana_templates/${String(subcategoryInput).toLowerCase().trim()}`,
+        folder,
         resource_type: 'video',
       });
 
@@ -356,21 +690,46 @@ class VideoController {
 
       // Persist to MongoDB
       const doc = await Template.create({
-        image_url: uploadResult.secure_url, // keep required field populated
+        image_url: uploadResult.secure_url, // replaced by the poster once the preview job has made one
         video_url: uploadResult.secure_url,
+        duration,
+        media_info: mediaInfo,
         resource_type: 'video',
         main_category: normalizedMain,
         subcategory: normalizedSub,
         photo_container_axis: photoAxis,
+        photo_shape: photoShape,
         text_container_axis: textAxis,
         coordinate_reference: coordRef,
       });
 
+      // Poster and preview are filled in on the template when the job finishes; a failure leaves them null
+      let previewJob = null;
+      try {
+        previewJob = await createJob('video-preview', {
+          templateId: String(doc._id),
+          videoUrl: doc.video_url,
+          folder,
+          duration,
+          posterTime,
+          format: previewFormat,
+        });
+        console.log(`🖼️ Poster / preview queued as job ${previewJob.id}`);
+      } catch (queueErr) {
+        console.warn('⚠️ Could not queue poster/preview job:', queueErr.message);
+      }
+
       return res.status(201).json({
         success: true,
         data: {
           video_url: doc.video_url,
           image_url: doc.image_url,
+          poster_url: doc.poster_url,
+          poster_time: doc.poster_time,
+          preview_url: doc.preview_url,
+          preview_job_id: previewJob?.id || null,
+          duration: doc.duration,
+          media_info: doc.media_info,
           resource_type: doc.resource_type,
           serial_no: doc.serial_no,
           category: doc.subcategory, // back-compat
@@ -378,6 +737,7 @@ class VideoController {
           main_category: doc.main_category,
           created_at: doc.created_at,
           photo_container_axis: doc.photo_container_axis,
+          photo_shape: doc.photo_shape,
           text_container_axis: doc.text_container_axis,
           coordinate_reference: doc.coordinate_reference,
         }
@@ -387,34 +747,126 @@ class VideoController {
       if (req.file && req.file.path) {
         try { fs.unlinkSync(req.file.path); } catch (_) {}
       }
+      for (const file of workFiles) {
+        if (file) try { fs.unlinkSync(file); } catch (_) {}
+      }
       return res.status(500).json({ success: false, error: error.message || 'Failed to upload video' });
     }
   }
 
-  // POST /api/videos/composite
+  // POST /api/videos/composite - queue a composite job and return its id right away
+  // Poll GET /status/:jobId (or stream GET /status/:jobId/events) for progress and the final URL
   async composite(req, res) {
+    try {
+      const { videoUrl, overlays, dimensions, preset } = req.body || {};
+
+      if (!videoUrl) {
+        return res.status(400).json({ success: false, error: 'videoUrl is required' });
+      }
+
+      // Output preset is optional; without one the output keeps the source resolution as H.264/MP4
+      if (preset && !getOutputPreset(preset)) {
+        return res.status(400).json({ success: false, error: `Unknown preset "${preset}" (use ${Object.keys(OUTPUT_PRESETS).join(', ')})` });
+      }
+
+      if (!/^https?:\/\//i.test(String(videoUrl))) {
+        return res.status(400).json({ success: false, error: 'videoUrl must be an http(s) URL' });
+      }
+
+      const inputError = validateCompositeInput(overlays, dimensions);
+      if (inputError) {
+        return res.status(400).json({ success: false, error: inputError });
+      }
+
+      // Reject bad background music settings now rather than failing the job later
+      const audio = readAudioOptions(overlays?.audio);
+      if (audio.error) {
+        return res.status(400).json({ success: false, error: audio.error });
+      }
+
+      // Check the source before queueing: templates carry their probed metadata, other URLs are probed remotely
+      const template = await Template.findOne({ video_url: videoUrl }).select('media_info duration').lean().catch(() => null);
+      let source;
+      if (template?.media_info?.codec && template.duration) {
+        const { codec, width, height, has_audio } = template.media_info;
+        source = { hasVideo: true, hasAudio: has_audio, codec, width, height, duration: template.duration };
+      } else {
+        try {
+          source = await probeVideo(videoUrl, { signal: clientAbortSignal(res) });
+        } catch (probeErr) {
+          console.error('❌ Could not probe composite source:', probeErr.message);
+          return res.status(400).json({ success: false, error: 'Could not read the video at videoUrl' });
+        }
+      }
+      const sourceError = validateMedia(source, { maxDuration: config.videoTemplates.maxCompositeDurationSeconds });
+      if (sourceError) {
+        return res.status(sourceError.status).json({ success: false, error: sourceError.error });
+      }
+      const presetError = preset ? validatePresetForSource(getOutputPreset(preset), source) : null;
+      if (presetError) {
+        return res.status(400).json({ success: false, error: presetError });
+      }
+
+      const job = await createJob('video-composite', { videoUrl, overlays: overlays || {}, dimensions, preset: preset || null });
+      console.log(`🎬 Video composite queued as job ${job.id}`);
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        queuedAt: job.createdAt,
+        statusUrl: `/status/${job.id}`,
+        ...(await getQueueInfo(job))
+      });
+    } catch (error) {
+      console.error('❌ Error queueing video composite:', error);
+      return res.status(500).json({ success: false, error: error.message || 'Failed to queue video composite' });
+    }
+  }
+
+  // Job processor for 'video-composite': download, overlay with FFmpeg, upload to Cloudinary
+  // Progress: downloads 0-10%, FFmpeg 10-90%, upload 90-100%
+  async runComposite(payload, ctx = {}) {
     const startTime = Date.now();
-    const requestId = `composite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const requestId = `composite_${ctx.jobId || Date.now()}`;
+    const tempFiles = [];
+    // Download cache entries this job reads; released when it ends so they can be evicted again
+    const cacheLeases = [];
+    const cached = async (source, options) => {
+      const lease = await acquire(source, options);
+      cacheLeases.push(lease);
+      return lease;
+    };
+    const throwIfCancelled = () => {
+      if (ctx.signal?.aborted) throw new Error('Cancelled by client');
+    };
     
     console.log('\n' + '='.repeat(80));
-    console.log(`🎬 [${requestId}] VIDEO COMPOSITE REQUEST STARTED`);
+    console.log(`🎬 [${requestId}] VIDEO COMPOSITE JOB STARTED`);
     console.log('='.repeat(80));
     
     try {
-      const { videoUrl, overlays, dimensions } = req.body;
+      const { videoUrl, overlays, dimensions } = payload;
 
       if (!videoUrl) {
-        console.error(`❌ [${requestId}] Missing videoUrl in request`);
-        return res.status(400).json({ success: false, error: 'videoUrl is required' });
+        throw permanentError('videoUrl is required');
+      }
+      const preset = getOutputPreset(payload.preset);
+      if (payload.preset && !preset) {
+        throw permanentError(`Unknown preset "${payload.preset}"`);
       }
+      const inputError = validateCompositeInput(overlays, dimensions);
+      if (inputError) throw permanentError(inputError);
 
       console.log(`📋 [${requestId}] Request Details:`, {
         videoUrl: videoUrl.substring(0, 80) + '...',
         photoCount: overlays?.photos?.length || 0,
         textCount: overlays?.texts?.length || 0,
         hasBanner: !!overlays?.banner,
+        audio: overlays?.audio ? (overlays.audio.trackId ? `track ${overlays.audio.trackId}` : 'uri') : 'none',
         bannerDimensions: overlays?.banner ? `${overlays.banner.width}x${overlays.banner.height} at (${overlays.banner.x},${overlays.banner.y})` : 'none',
         dimensions,
+        preset: preset?.name || 'none',
         timestamp: new Date().toISOString()
       });
       
@@ -440,40 +892,57 @@ class VideoController {
       }
 
       const timestamp = Date.now();
-      const inputPath = path.join(tempDir, `input_${timestamp}.mp4`);
-      const outputPath = path.join(tempDir, `output_${timestamp}.mp4`);
+      const outputPath = path.join(tempDir, `output_${timestamp}.${preset?.container || 'mp4'}`);
+      tempFiles.push(outputPath);
 
-      console.log(`📂 [${requestId}] File paths:`);
-      console.log(`   Input:  ${inputPath}`);
-      console.log(`   Output: ${outputPath}`);
-
-      // Download input video
-      console.log(`📥 [${requestId}] Downloading video from: ${videoUrl.substring(0, 60)}...`);
+      // Template video from the download cache (popular templates are fetched once and shared)
+      console.log(`📥 [${requestId}] Fetching video: ${videoUrl.substring(0, 60)}...`);
       const downloadStart = Date.now();
-      
-      const response = await axios({
-        url: videoUrl,
-        method: 'GET',
-        responseType: 'stream'
-      });
-
-      const writer = fs.createWriteStream(inputPath);
-      response.data.pipe(writer);
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
+      const video = await cached(videoUrl, { ext: urlExtension(videoUrl, '.mp4') });
+      const inputPath = video.path;
 
       const downloadTime = Date.now() - downloadStart;
       const fileSize = fs.statSync(inputPath).size;
-      console.log(`✅ [${requestId}] Video downloaded in ${downloadTime}ms (${(fileSize / 1024 / 1024).toFixed(2)} MB)`);
+      console.log(`✅ [${requestId}] Video ${video.hit ? 'served from cache' : 'downloaded'} in ${downloadTime}ms (${(fileSize / 1024 / 1024).toFixed(2)} MB)`);
 
-      // Get actual video dimensions using FFprobe
-      console.log(`🔍 [${requestId}] Getting video dimensions with FFprobe...`);
-      const probeCommand = `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=s=x:p=0 "${inputPath}"`;
-      const { stdout: probeOutput } = await execPromise(probeCommand);
-      const [videoWidth, videoHeight] = probeOutput.trim().split('x').map(Number);
+      console.log(`📂 [${requestId}] File paths:`);
+      console.log(`   Input:  ${inputPath}`);
+      console.log(`   Output: ${outputPath}`);
+      ctx.reportProgress?.(5);
+      throwIfCancelled();
+
+      // Probe the video and find its content area once per URL; later composites reuse the result.
+      // Dimensions are the display size: FFmpeg auto-rotates phone videos flagged 90/270, so overlays
+      // are placed on the upright frame
+      console.log(`🔍 [${requestId}] Probing video with FFprobe...`);
+      // Only a complete analysis is cached: a cancelled or failed run stores nothing
+      let analysis;
+      try {
+        analysis = await cachedValue(videoUrl, 'analysis', async () => ({
+          source: await probeVideo(inputPath, { signal: ctx.signal }),
+          contentArea: await this.detectContentArea(inputPath, { signal: ctx.signal, throwOnError: true }),
+        }));
+      } catch (analysisErr) {
+        throwIfCancelled();
+        // Also reached when a job sharing this analysis was cancelled; run it here, uncached
+        console.warn(`   ⚠️ [${requestId}] Cached analysis unavailable (${analysisErr.message}), probing directly`);
+        analysis = {
+          source: await probeVideo(inputPath, { signal: ctx.signal }),
+          contentArea: await this.detectContentArea(inputPath, { signal: ctx.signal }),
+        };
+      }
+      const source = analysis.source;
+      const sourceError = validateMedia(source, { maxDuration: config.videoTemplates.maxCompositeDurationSeconds });
+      if (sourceError) throw permanentError(sourceError.error);
+      const { width: videoWidth, height: videoHeight, duration } = source;
+      console.log(`   Codec: ${source.codec}, ${source.fps || '?'} fps, rotation ${source.rotation}°, audio: ${source.hasAudio ? source.audioCodec : 'none'}`);
+      console.log(`   Duration: ${duration.toFixed(2)}s`);
+
+      // Fail before any compositing work when the source can't meet the preset
+      if (preset) {
+        const presetError = validatePresetForSource(preset, { width: videoWidth, height: videoHeight, duration });
+        if (presetError) throw permanentError(presetError);
+      }
 
       console.log(`   App dimensions: ${dimensions.width}x${dimensions.height}`);
       console.log(`   Video dimensions: ${videoWidth}x${videoHeight}`);
@@ -487,7 +956,7 @@ class VideoController {
       // Detect actual content area (excluding black bars) using FFmpeg cropdetect
       let contentOffsetX = 0;
       let contentOffsetY = 0;
-      const contentArea = await this.detectContentArea(inputPath);
+      const contentArea = analysis.contentArea;
       if (contentArea) {
         contentOffsetX = contentArea.offsetX;
         contentOffsetY = contentArea.offsetY;
@@ -496,7 +965,7 @@ class VideoController {
 
       // Build FFmpeg filter complex
       const filters = [];
-      const inputs = [`-i "${inputPath}"`];
+      const inputs = ['-i', inputPath];
       let inputIndex = 1;
 
       // Download and add photo overlays
@@ -511,30 +980,58 @@ class VideoController {
             continue;
           }
 
-          const photoPath = path.join(tempDir, `photo_${timestamp}_${i}.jpg`);
           console.log(`   Downloading photo ${i + 1}/${overlays.photos.length}: ${photo.uri.substring(0, 50)}...`);
           
           const photoDownloadStart = Date.now();
           
-          // Download photo
-          const photoResponse = await axios({
-            url: photo.uri,
-            method: 'GET',
-            responseType: 'stream'
-          });
-          const photoWriter = fs.createWriteStream(photoPath);
-          photoResponse.data.pipe(photoWriter);
-          await new Promise((resolve, reject) => {
-            photoWriter.on('finish', resolve);
-            photoWriter.on('error', reject);
-          });
+          // User photos are personal and unique per request: temp files only, never the shared cache
+          const photoPath = path.join(tempDir, `photo_${timestamp}_${i}${urlExtension(photo.uri, '.jpg')}`);
+          tempFiles.push(photoPath);
+          await downloadFile(photo.uri, photoPath, { signal: ctx.signal });
 
           const photoDownloadTime = Date.now() - photoDownloadStart;
           const photoSize = fs.statSync(photoPath).size;
           console.log(`   ✅ Photo ${i + 1} downloaded in ${photoDownloadTime}ms (${(photoSize / 1024).toFixed(2)} KB)`);
 
-          inputs.push(`-i "${photoPath}"`);
-          photoInputs.push({ index: inputIndex++, ...photo, path: photoPath });
+          const timing = overlayTiming(photo, duration);
+          const looped = needsLoopedInput(timing, photo.kenBurns, duration);
+          const framing = photoFrameOptions(photo, scaleY);
+          let framed = null;
+          let inputPathForPhoto = photoPath;
+          if (framing) {
+            // Shaped photo: sharp renders the shape, ring and shadow (see utils/photo-frame.js)
+            const box = { width: Math.round(photo.width * scaleX), height: Math.round(photo.height * scaleY) };
+            const maskBuffer = framing.maskUri
+              ? await fs.promises.readFile((await cached(framing.maskUri, { ext: '.png' })).path)
+              : null;
+            if (photo.kenBurns && looped) {
+              // The pan/zoom runs per frame, so the shape is applied in FFmpeg (alphamerge) over a decor layer
+              const layers = await frameLayers(box, framing, maskBuffer);
+              const maskPath = path.join(tempDir, `photomask_${timestamp}_${i}.png`);
+              const decorPath = path.join(tempDir, `photodecor_${timestamp}_${i}.png`);
+              tempFiles.push(maskPath, decorPath);
+              await fs.promises.writeFile(maskPath, layers.mask);
+              await fs.promises.writeFile(decorPath, layers.decor);
+              framed = { layers, maskPath, decorPath };
+            } else {
+              const result = await framePhoto(await fs.promises.readFile(photoPath), box, framing, maskBuffer);
+              inputPathForPhoto = path.join(tempDir, `photoframed_${timestamp}_${i}.png`);
+              tempFiles.push(inputPathForPhoto);
+              await fs.promises.writeFile(inputPathForPhoto, result.buffer);
+              framed = { image: result };
+            }
+            console.log(`   🖼️ Photo ${i + 1} framed: shape=${framing.shape} border=${framing.border?.width || 0} shadow=${!!framing.shadow}`);
+          }
+
+          inputs.push(...(looped ? loopedInputArgs(duration) : []), '-i', inputPathForPhoto);
+          const photoInput = { index: inputIndex++, ...photo, path: photoPath, timing, looped, framed };
+          if (framed?.layers) {
+            inputs.push(...loopedInputArgs(duration), '-i', framed.maskPath);
+            photoInput.maskIndex = inputIndex++;
+            inputs.push(...loopedInputArgs(duration), '-i', framed.decorPath);
+            photoInput.decorIndex = inputIndex++;
+          }
+          photoInputs.push(photoInput);
         }
       }
 
@@ -545,40 +1042,37 @@ class VideoController {
         console.log(`   Banner URI: ${overlays.banner.uri.substring(0, 60)}...`);
         console.log(`   Banner dimensions: ${overlays.banner.width}x${overlays.banner.height} at (${overlays.banner.x}, ${overlays.banner.y})`);
 
-        const bannerPath = path.join(tempDir, `banner_${timestamp}.png`);
         const bannerDownloadStart = Date.now();
 
         try {
-          const bannerResponse = await axios({
-            url: overlays.banner.uri,
-            method: 'GET',
-            responseType: 'stream'
-          });
-          const bannerWriter = fs.createWriteStream(bannerPath);
-          bannerResponse.data.pipe(bannerWriter);
-          await new Promise((resolve, reject) => {
-            bannerWriter.on('finish', resolve);
-            bannerWriter.on('error', reject);
-          });
+          const bannerPath = (await cached(overlays.banner.uri, { ext: urlExtension(overlays.banner.uri, '.png') })).path;
 
           const bannerDownloadTime = Date.now() - bannerDownloadStart;
           const bannerSize = fs.statSync(bannerPath).size;
           console.log(`   ✅ Banner downloaded in ${bannerDownloadTime}ms (${(bannerSize / 1024).toFixed(2)} KB)`);
 
-          inputs.push(`-i "${bannerPath}"`);
+          const timing = overlayTiming(overlays.banner, duration);
+          const looped = needsLoopedInput(timing, null, duration);
+          inputs.push(...(looped ? loopedInputArgs(duration) : []), '-i', bannerPath);
           bannerInput = {
             index: inputIndex++,
             ...overlays.banner,
-            path: bannerPath
+            path: bannerPath,
+            timing,
+            looped
           };
         } catch (bannerError) {
           console.error(`   ❌ Failed to download banner: ${bannerError.message}`);
         }
       }
 
+      ctx.reportProgress?.(10);
+      throwIfCancelled();
+
       // Build filter complex
       console.log(`🔧 [${requestId}] Building FFmpeg filter complex...`);
       let previousOutput = '[0:v]';
+      const frame = { width: videoWidth, height: videoHeight };
 
       // Overlay photos
       if (photoInputs.length > 0) {
@@ -592,11 +1086,49 @@ class VideoController {
         const scaledWidth = Math.round(photo.width * scaleX);
         const scaledHeight = Math.round(photo.height * scaleY);
 
-        console.log(`   Photo ${i + 1}: (${photo.x},${photo.y}) ${photo.width}x${photo.height} -> (${scaledX},${scaledY}) ${scaledWidth}x${scaledHeight}`);
+        const box = { left: scaledX, top: scaledY, width: scaledWidth, height: scaledHeight };
+
+        console.log(`   Photo ${i + 1}: (${photo.x},${photo.y}) ${photo.width}x${photo.height} -> (${scaledX},${scaledY}) ${scaledWidth}x${scaledHeight} visible=${photo.timing.start}-${photo.timing.end ?? 'end'}s enter=${photo.timing.enter?.type || 'none'} exit=${photo.timing.exit?.type || 'none'}${photo.kenBurns && photo.looped ? ' kenBurns' : ''}`);
+
+        if (photo.framed) {
+          // Framed photos are larger than their box by the shadow margin on every side
+          const { layers, image } = photo.framed;
+          const margin = layers ? layers.margin : image.margin;
+          const framedBox = {
+            left: scaledX - margin,
+            top: scaledY - margin,
+            width: layers ? layers.width : image.width,
+            height: layers ? layers.height : image.height,
+          };
+          const animation = photo.looped ? animationFilters(photo.timing, framedBox.width, framedBox.height) : [];
+          if (layers) {
+            // Ken Burns inside the shape: zoompan -> alphamerge with the shape mask -> on top of shadow/ring
+            const { inner } = layers;
+            const kenBurns = kenBurnsFilter(photo.kenBurns, photo.timing, inner, duration);
+            filters.push(
+              `[${photo.index}:v]scale=${inner.width * 2}:${inner.height * 2}:force_original_aspect_ratio=increase,crop=${inner.width * 2}:${inner.height * 2},${kenBurns}[kb${i}]`,
+              `[kb${i}][${photo.maskIndex}:v]alphamerge[shaped${i}]`,
+              `[${photo.decorIndex}:v][shaped${i}]overlay=${inner.left}:${inner.top}:format=auto${animation.length ? `,${animation.join(',')}` : ''}[scaled${i}]`
+            );
+          } else {
+            filters.push(`[${photo.index}:v]${['format=rgba', ...animation].join(',')}[scaled${i}]`);
+          }
+          filters.push(`${previousOutput}[scaled${i}]${overlayFilter(photo.timing, framedBox, frame)}[${outputName}]`);
+          previousOutput = `[${outputName}]`;
+          return;
+        }
+
+        // Ken Burns zooms into a 2x copy so the crop stays sharp; animations run on the looped stream
+        let chain = [`scale=${scaledWidth}:${scaledHeight}`];
+        if (photo.looped) {
+          const kenBurns = kenBurnsFilter(photo.kenBurns, photo.timing, box, duration);
+          if (kenBurns) chain = [`scale=${scaledWidth * 2}:${scaledHeight * 2}`, kenBurns];
+          chain.push(...animationFilters(photo.timing, scaledWidth, scaledHeight));
+        }
 
         filters.push(
-          `[${photo.index}:v]scale=${scaledWidth}:${scaledHeight}[scaled${i}]`,
-          `${previousOutput}[scaled${i}]overlay=${scaledX}:${scaledY}[${outputName}]`
+          `[${photo.index}:v]${chain.join(',')}[scaled${i}]`,
+          `${previousOutput}[scaled${i}]${overlayFilter(photo.timing, box, frame)}[${outputName}]`
         );
         previousOutput = `[${outputName}]`;
       });
@@ -617,9 +1149,12 @@ class VideoController {
           previousOutput = '[pre_banner]';
         }
 
+        const bannerBox = { left: scaledBannerX, top: scaledBannerY, width: scaledBannerWidth, height: scaledBannerHeight };
+        const bannerChain = [`scale=${scaledBannerWidth}:${scaledBannerHeight}`];
+        if (bannerInput.looped) bannerChain.push(...animationFilters(bannerInput.timing, scaledBannerWidth, scaledBannerHeight));
         filters.push(
-          `[${bannerInput.index}:v]scale=${scaledBannerWidth}:${scaledBannerHeight}[scaled_banner]`,
-          `${previousOutput}[scaled_banner]overlay=${scaledBannerX}:${scaledBannerY}[out]`
+          `[${bannerInput.index}:v]${bannerChain.join(',')}[scaled_banner]`,
+          `${previousOutput}[scaled_banner]${overlayFilter(bannerInput.timing, bannerBox, frame)}[out]`
         );
         previousOutput = '[out]';
       }
@@ -627,56 +1162,96 @@ class VideoController {
       // Add text overlays with backgrounds
       if (overlays?.texts && Array.isArray(overlays.texts) && overlays.texts.length > 0) {
         console.log(`   Adding ${overlays.texts.length} text overlay(s)`);
-        const textFilters = overlays.texts.map((text, i) => {
-          const escapedText = String(text.text).replace(/'/g, "\\\\\\\\'").replace(/:/g, '\\\\\\\\:');
+        // Steps are simple filters chained in place, or { input, pre, overlay } background image overlays
+        const textSteps = [];
+        for (let i = 0; i < overlays.texts.length; i++) {
+          const text = overlays.texts[i];
+          const style = textStyle(text);
           // Scale coordinates from app screen to video dimensions, adding content offset for letterboxing
-          const scaledX = Math.round(text.x * scaleX) + contentOffsetX;
-          const scaledY = Math.round(text.y * scaleY) + contentOffsetY;
-          const scaledWidth = Math.round((text.width || 120) * scaleX);
-          const scaledHeight = Math.round((text.height || 40) * scaleY);
+          const box = {
+            left: Math.round(text.x * scaleX) + contentOffsetX,
+            top: Math.round(text.y * scaleY) + contentOffsetY,
+            width: Math.round((text.width || 120) * scaleX),
+            height: Math.round((text.height || 40) * scaleY),
+          };
           // Scale fontSize proportionally to video resolution
           const scaledFontSize = Math.round(text.fontSize * scaleY);
 
-          // Check if text should be bold
-          const isBold = text.fontWeight === 'bold' || text.fontWeight === '700' || text.fontWeight === '800' || text.fontWeight === '900';
-          const boldParam = isBold ? ':bold=1' : '';
-
-          console.log(`   Text ${i + 1}: "${text.text}" at (${text.x},${text.y}) size ${text.fontSize} weight=${text.fontWeight} bg=${text.backgroundColor} -> (${scaledX},${scaledY}) size ${scaledFontSize} bold=${isBold}`);
-          
-          // Build filter parts
-          const parts = [];
-          
-          // Add background box if backgroundColor is not transparent
-          if (text.backgroundColor && text.backgroundColor !== 'transparent') {
-            // Parse rgba color (e.g., "rgba(0, 0, 0, 0.8)" -> "0x000000@0.8")
-            let boxColor = '0x000000@0.8'; // default
-            try {
-              const rgbaMatch = text.backgroundColor.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
-              if (rgbaMatch) {
-                const r = parseInt(rgbaMatch[1]).toString(16).padStart(2, '0');
-                const g = parseInt(rgbaMatch[2]).toString(16).padStart(2, '0');
-                const b = parseInt(rgbaMatch[3]).toString(16).padStart(2, '0');
-                const a = rgbaMatch[4] || '1';
-                boxColor = `0x${r}${g}${b}@${a}`;
-              }
-            } catch (e) {
-              console.warn(`   ⚠️ Failed to parse backgroundColor: ${text.backgroundColor}`);
+          // Pick a bundled font file for the family/weight/style; unknown families (or ones that can't
+          // render the text's script) fall back to the script's default. No match -> FFmpeg's default font
+          const font = resolveFont({ fontFamily: text.fontFamily, fontWeight: text.fontWeight, fontStyle: text.fontStyle, text: text.text });
+          const fontParam = font ? `:fontfile=${filterPath(font.file)}` : '';
+          const layout = layoutText(text.text, style, box, scaledFontSize, scaleY);
+          const timing = overlayTiming(text, duration);
+          const enable = enableExpr(timing);
+          const fade = fadeExpr(timing);
+          const scale = scaleExpr(timing);
+
+          console.log(`   Text ${i + 1}: "${text.text}" at (${text.x},${text.y}) size ${text.fontSize} weight=${text.fontWeight} bg=${text.backgroundColor} -> (${box.left},${box.top}) size ${scaledFontSize} font=${font ? `${font.family}/${font.weight}/${font.style}` : 'default'} align=${style.align}/${style.verticalAlign} lines=${layout.lines.length} visible=${timing.start}-${timing.end ?? 'end'}s enter=${timing.enter?.type || 'none'} exit=${timing.exit?.type || 'none'}`);
+
+          // Background: drawbox for static square corners; rounded or animated ones are a pre-rendered
+          // PNG overlay, since drawbox can't move, fade or scale
+          if (style.backgroundColor) {
+            const radius = Math.round(style.borderRadius * scaleY);
+            if (radius > 0 || isAnimated(timing)) {
+              const bgPath = path.join(tempDir, `textbg_${timestamp}_${i}.png`);
+              tempFiles.push(bgPath);
+              const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${box.width}" height="${box.height}">` +
+                `${roundedRectSvg({ width: box.width, height: box.height }, radius, style.backgroundColor, style.opacity)}</svg>`;
+              await sharp(Buffer.from(svg)).png().toFile(bgPath);
+              const looped = needsLoopedInput(timing, null, duration);
+              inputs.push(...(looped ? loopedInputArgs(duration) : []), '-i', bgPath);
+              textSteps.push({
+                input: inputIndex++,
+                pre: looped ? animationFilters(timing, box.width, box.height) : [],
+                overlay: overlayFilter(timing, box, frame),
+              });
+            } else {
+              // e.g. "rgba(0, 0, 0, 0.8)" -> "0x000000@0.8"; unparseable colours use the default box
+              const boxColor = toFfmpegColor(style.backgroundColor, 'rgba(0,0,0,0.8)', style.opacity);
+              textSteps.push(`drawbox=x=${box.left}:y=${box.top}:w=${box.width}:h=${box.height}:color=${boxColor}:t=fill${enable ? `:enable='${enable}'` : ''}`);
             }
-            parts.push(`drawbox=x=${scaledX}:y=${scaledY}:w=${scaledWidth}:h=${scaledHeight}:color=${boxColor}:t=fill`);
           }
-          
-          // Add text on top of background
-          parts.push(`drawtext=text='${escapedText}':x=${scaledX}:y=${scaledY}:fontsize=${scaledFontSize}:fontcolor=${text.color}${boldParam}:borderw=2:bordercolor=black`);
-          
-          return parts.join(',');
-        }).join(',');
 
+          // Outline, shadow and opacity apply to every line
+          const strokeWidth = style.strokeWidth === null ? 2 : Math.round(style.strokeWidth * scaleY);
+          let textOptions = `:fontsize=${scale ? `'${scaledFontSize}*${scale}'` : scaledFontSize}:fontcolor=${toFfmpegColor(style.color)}${fontParam}`;
+          if (strokeWidth > 0) textOptions += `:borderw=${strokeWidth}:bordercolor=${toFfmpegColor(style.strokeColor, 'black')}`;
+          if (style.shadow) {
+            textOptions += `:shadowx=${Math.round(style.shadow.offsetX * scaleX)}:shadowy=${Math.round(style.shadow.offsetY * scaleY)}` +
+              `:shadowcolor=${toFfmpegColor(style.shadow.color, 'rgba(0,0,0,0.6)')}`;
+          }
+          if (fade) textOptions += `:alpha='${style.opacity}*${fade}'`;
+          else if (style.opacity < 1) textOptions += `:alpha=${style.opacity}`;
+          if (enable) textOptions += `:enable='${enable}'`;
+
+          // One drawtext per line so each can be aligned inside the box (text_w is the rendered line width).
+          // During a scale pop the line anchors move towards the box centre along with the font size
+          const { inner } = layout;
+          const cx = box.left + Math.round(box.width / 2);
+          const cy = box.top + Math.round(box.height / 2);
+          const towardsCentre = (value, centre) => (scale ? `${centre}+(${value - centre})*${scale}` : `${value}`);
+          const xExpr = style.align === 'center'
+            ? (scale ? `${cx}-text_w/2` : `${inner.left}+(${inner.width}-text_w)/2`)
+            : style.align === 'right' ? `${towardsCentre(inner.left + inner.width, cx)}-text_w` : towardsCentre(inner.left, cx);
+          for (let l = 0; l < layout.lines.length; l++) {
+            const line = layout.lines[l];
+            if (!line.text.trim()) continue;
+            // Text content goes through a file (textfile=) so quotes, colons etc. can't break the filter graph
+            const textPath = await writeTextFile(tempDir, line.text, `text_${timestamp}_${i}_${l}`);
+            tempFiles.push(textPath);
+            const position = positionExpr(timing, { x: xExpr, y: towardsCentre(line.top, cy) }, box, frame);
+            // expansion=none: render %{...} literally
+            textSteps.push(`drawtext=textfile=${filterPath(textPath)}:expansion=none:x=${filterExpr(position.x)}:y=${filterExpr(position.y)}${textOptions}`);
+          }
+        }
+
+        let textInput = previousOutput;
         if (filters.length > 0) {
           filters[filters.length - 1] = filters[filters.length - 1].replace('[out]', '[tmp_text]');
-          filters.push(`[tmp_text]${textFilters}[out]`);
-        } else {
-          filters.push(`${previousOutput}${textFilters}[out]`);
+          textInput = '[tmp_text]';
         }
+        filters.push(...chainTextSteps(textInput, textSteps));
       }
 
       // Ensure output tag
@@ -685,73 +1260,105 @@ class VideoController {
         filters.push(`${previousOutput}copy[out]`);
       }
 
+      // Background music: looped/trimmed to the video, mixed with or replacing the template's audio
+      let audioArgs = ['-map', '0:a?', '-c:a', 'copy'];
+      const { options: audioOptions, error: audioError } = readAudioOptions(overlays?.audio);
+      if (audioError) throw permanentError(audioError);
+      if (audioOptions && preset && !preset.audio) {
+        console.log(`   Music skipped: the ${preset.name} preset has no audio`);
+      } else if (audioOptions) {
+        const track = audioOptions.trackId ? getTrack(audioOptions.trackId) : null;
+        let audioPath = track?.source.type === 'file' ? track.source.location : null;
+        if (!audioPath) {
+          const audioUrl = track ? track.source.location : audioOptions.uri;
+          console.log(`🎵 [${requestId}] Downloading background music...`);
+          if (track) {
+            // Catalogue tracks are shared by every composite that picks them
+            audioPath = (await cached(audioUrl, { ext: urlExtension(audioUrl, '.mp3') })).path;
+          } else {
+            audioPath = path.join(tempDir, `music_${timestamp}${urlExtension(audioUrl, '.mp3')}`);
+            tempFiles.push(audioPath);
+            await downloadFile(audioUrl, audioPath, { signal: ctx.signal });
+          }
+        }
+        throwIfCancelled();
+
+        const trackDuration = audioOptions.loop ? 0 : await probeDuration(audioPath, { signal: ctx.signal });
+        const hasOriginalAudio = audioOptions.mode === 'mix' && source.hasAudio;
+        const audioIndex = inputIndex++;
+        inputs.push(...audioInputArgs(audioOptions, audioPath));
+        filters.push(...audioFilters(audioOptions, { inputIndex: audioIndex, clipDuration: duration, trackDuration, hasOriginalAudio }));
+        audioArgs = ['-map', '[aout]', '-c:a', 'aac', '-b:a', '192k', ...(duration > 0 ? [] : ['-shortest'])];
+        console.log(`   Music: ${track ? `"${track.title}"` : 'uploaded track'} (${audioOptions.mode}${hasOriginalAudio ? ' with original audio' : ''}, volume ${audioOptions.volume})`);
+      }
+
+      // Output encoding: the preset's size/codecs, or H.264 at the source resolution
+      let outputArgs = ['-map', '[out]', ...audioArgs, '-c:v', 'libx264', '-preset', 'fast'];
+      if (preset) {
+        const size = presetOutputSize(preset, { width: videoWidth, height: videoHeight });
+        filters.push(presetVideoFilter(preset, size, { width: videoWidth, height: videoHeight }));
+        const audioMap = preset.audio ? audioArgs.slice(0, 2) : [];
+        const extra = audioArgs.includes('-shortest') ? ['-shortest'] : [];
+        outputArgs = ['-map', '[vout]', ...audioMap, ...presetEncodeArgs(preset, { duration, audio: audioMap.length ? 'encode' : 'none' }), ...extra];
+        console.log(`   Preset: ${preset.name} -> ${size.width}x${size.height} ${preset.container}`);
+      }
+
       const filterComplex = filters.join(';');
-      const command = `ffmpeg ${inputs.join(' ')} -filter_complex "${filterComplex}" -map "[out]" -map 0:a? -c:v libx264 -preset fast -c:a copy -y "${outputPath}"`;
+      const args = [...inputs, '-filter_complex', filterComplex, ...outputArgs, '-y', outputPath];
 
       console.log(`\n🎬 [${requestId}] Executing FFmpeg...`);
-      console.log(`   Command: ${command.substring(0, 200)}...`);
+      console.log(`   Filter complex: ${filterComplex.substring(0, 200)}...`);
       
       const ffmpegStart = Date.now();
 
-      // Execute FFmpeg
-      const { stdout, stderr } = await execPromise(command);
+      // Execute FFmpeg (progress 10% -> 90%)
+      await runFfmpeg(args, {
+        label: `FFmpeg composite [${requestId}]`,
+        signal: ctx.signal,
+        durationSeconds: duration,
+        onProgress: (fraction) => ctx.reportProgress?.(Math.round(10 + fraction * 80)),
+      });
       
       const ffmpegTime = Date.now() - ffmpegStart;
       const outputSize = fs.statSync(outputPath).size;
       console.log(`✅ [${requestId}] FFmpeg processing complete in ${ffmpegTime}ms`);
       console.log(`   Output size: ${(outputSize / 1024 / 1024).toFixed(2)} MB`);
+      if (preset?.maxFileSize && outputSize > preset.maxFileSize * 1024 * 1024) {
+        // The same input encodes to the same size, so a retry can't help
+        throw permanentError(`Output is ${(outputSize / 1024 / 1024).toFixed(1)} MB; the ${preset.name} preset allows at most ${preset.maxFileSize} MB`);
+      }
+
+      throwIfCancelled();
 
       // Upload processed video to Cloudinary
       console.log(`\n📤 [${requestId}] Uploading to Cloudinary...`);
       const uploadStart = Date.now();
       
       const uploadResult = await cloudinary.uploader.upload(outputPath, {
-        folder: 'narayana_templates/composited',
-        resource_type: 'video',
+        folder: preset ? `narayana_templates/composited/${preset.name}` : 'narayana_templates/composited',
+        // Cloudinary treats GIFs as images
+        resource_type: preset?.container === 'gif' ? 'image' : 'video',
       });
 
       const uploadTime = Date.now() - uploadStart;
       console.log(`✅ [${requestId}] Video uploaded to Cloudinary in ${uploadTime}ms`);
       console.log(`   URL: ${uploadResult.secure_url}`);
 
-      // Cleanup temp files
-      console.log(`🧹 [${requestId}] Cleaning up temp files...`);
-      let cleanupCount = 0;
-      try {
-        fs.unlinkSync(inputPath);
-        cleanupCount++;
-        fs.unlinkSync(outputPath);
-        cleanupCount++;
-        photoInputs.forEach(p => {
-          try {
-            fs.unlinkSync(p.path);
-            cleanupCount++;
-          } catch (e) {}
-        });
-        // Cleanup banner file if it exists
-        if (bannerInput && bannerInput.path) {
-          try {
-            fs.unlinkSync(bannerInput.path);
-            cleanupCount++;
-          } catch (e) {}
-        }
-        console.log(`   ✅ Cleaned up ${cleanupCount} file(s)`);
-      } catch (e) {
-        console.warn(`   ⚠️ Cleanup warning: ${e.message}`);
-      }
-
       const totalTime = Date.now() - startTime;
       console.log(`\n🎉 [${requestId}] VIDEO COMPOSITE COMPLETED SUCCESSFULLY`);
       console.log(`   Total time: ${totalTime}ms (${(totalTime / 1000).toFixed(2)}s)`);
       console.log(`   Output URL: ${uploadResult.secure_url}`);
       console.log('='.repeat(80) + '\n');
 
-      return res.status(200).json({
+      return {
         success: true,
         videoUrl: uploadResult.secure_url,
         url: uploadResult.secure_url,
+        preset: preset?.name || null,
+        format: preset?.container || 'mp4',
+        bytes: outputSize,
         processingTime: totalTime
-      });
+      };
 
     } catch (error) {
       const errorTime = Date.now() - startTime;
@@ -759,14 +1366,71 @@ class VideoController {
       console.error(`   Error: ${error.message}`);
       console.error(`   Stack: ${error.stack}`);
       console.log('='.repeat(80) + '\n');
-      
-      return res.status(500).json({ 
-        success: false, 
-        error: error.message || 'Failed to composite video',
-        requestId
+      throw error;
+    } finally {
+      // Cleanup temp files (also after failures and cancellations)
+      let cleanupCount = 0;
+      for (const file of tempFiles) {
+        try {
+          fs.unlinkSync(file);
+          cleanupCount++;
+        } catch (e) {}
+      }
+      console.log(`🧹 [${requestId}] Cleaned up ${cleanupCount} temp file(s)`);
+      for (const lease of cacheLeases) lease.release();
+    }
+  }
+
+  // Job processor for 'video-preview': poster frame + animated preview of a saved video template.
+  // Uploads both and patches the Template; image_url switches to the poster so older clients see a real image
+  async runVideoPreview(payload, ctx = {}) {
+    const { templateId, videoUrl, folder, duration, posterTime, format } = payload;
+    if (!(await Template.exists({ _id: templateId }))) {
+      throw permanentError(`Template ${templateId} no longer exists`);
+    }
+
+    const tempDir = path.join(process.cwd(), 'uploads', 'temp');
+    fs.mkdirSync(tempDir, { recursive: true });
+    // The stored video is the one composites read, so fetching it through the cache also warms it for them
+    const video = await acquire(videoUrl, { ext: urlExtension(videoUrl, '.mp4') });
+    let previews = { posterPath: null, previewPath: null, posterTime: null };
+    try {
+      ctx.reportProgress?.(10);
+      previews = await generateVideoPreviews(video.path, {
+        duration: duration || 0,
+        posterTime,
+        format,
+        outDir: tempDir,
+        signal: ctx.signal,
       });
+      ctx.reportProgress?.(70);
+
+      const posterUrl = previews.posterPath
+        ? (await cloudinary.uploader.upload(previews.posterPath, { folder: `${folder}/posters`, resource_type: 'image' })).secure_url
+        : null;
+      const previewUrl = previews.previewPath
+        ? (await cloudinary.uploader.upload(previews.previewPath, { folder: `${folder}/previews`, resource_type: 'image' })).secure_url
+        : null;
+      console.log('🖼️ Poster / preview uploaded:', { templateId, posterUrl, previewUrl, posterTime: previews.posterTime });
+
+      const update = { poster_url: posterUrl, poster_time: posterUrl ? previews.posterTime : null, preview_url: previewUrl };
+      if (posterUrl) update.image_url = posterUrl;
+      await Template.updateOne({ _id: templateId }, { $set: update });
+
+      return { success: true, templateId, posterUrl, previewUrl, posterTime: update.poster_time };
+    } finally {
+      video.release();
+      for (const file of [previews.posterPath, previews.previewPath]) {
+        if (file) try { fs.unlinkSync(file); } catch (e) { /* ignore */ }
+      }
     }
   }
 }
 
-export default new VideoController();
+const videoController = new VideoController();
+
+// Compositing runs in the background job queue (FFmpeg is a separate process, so no worker thread)
+registerProcessor('video-composite', (payload, ctx) => videoController.runComposite(payload, ctx));
+registerProcessor('video-preview', (payload, ctx) => videoController.runVideoPreview(payload, ctx));
+
+export default videoController;
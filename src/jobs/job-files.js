@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+
+// On-disk side storage for jobs: one folder per job under config.jobs.dir
+// - payload buffers are written out as payload_<n>.bin and referenced as { __file }
+// - results too large for a job document are written to result.json
+
+const RESULT_FILE = 'result.json';
+
+export function jobDir(jobId) {
+  return path.join(config.jobs.dir, String(jobId));
+}
+
+function isFileRef(value) {
+  return value && typeof value === 'object' && typeof value.__file === 'string' && Object.keys(value).length === 1;
+}
+
+// Replace every Buffer in the payload with a file reference
+export async function persistPayload(jobId, payload) {
+  const dir = jobDir(jobId);
+  await fs.mkdir(dir, { recursive: true });
+  let counter = 0;
+
+  const walk = async (value) => {
+    if (Buffer.isBuffer(value)) {
+      const name = `payload_${counter++}.bin`;
+      await fs.writeFile(path.join(dir, name), value);
+      return { __file: name };
+    }
+    if (Array.isArray(value)) {
+      const out = [];
+      for (const item of value) out.push(await walk(item));
+      return out;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const out = {};
+      for (const [key, item] of Object.entries(value)) out[key] = await walk(item);
+      return out;
+    }
+    return value;
+  };
+
+  return walk(payload);
+}
+
+// Inverse of persistPayload: read referenced files back into Buffers
+export async function loadPayload(jobId, stored) {
+  const dir = jobDir(jobId);
+
+  const walk = async (value) => {
+    if (isFileRef(value)) return fs.readFile(path.join(dir, path.basename(value.__file)));
+    if (Array.isArray(value)) {
+      const out = [];
+      for (const item of value) out.push(await walk(item));
+      return out;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const out = {};
+      for (const [key, item] of Object.entries(value)) out[key] = await walk(item);
+      return out;
+    }
+    return value;
+  };
+
+  return walk(stored);
+}
+
+// Drop payload files once a job no longer needs them (result files are kept)
+export async function discardPayload(jobId) {
+  const dir = jobDir(jobId);
+  try {
+    const files = await fs.readdir(dir);
+    await Promise.all(files
+      .filter(f => f.startsWith('payload_'))
+      .map(f => fs.unlink(path.join(dir, f)).catch(() => {})));
+  } catch {}
+}
+
+// Keep small results inline; spill large ones to disk and return a reference
+export async function persistResult(jobId, result) {
+  if (result === null || result === undefined) return null;
+  const json = JSON.stringify(result);
+  if (Buffer.byteLength(json) <= config.jobs.maxInlineResultBytes) return result;
+  const dir = jobDir(jobId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, RESULT_FILE), json, 'utf8');
+  return { __file: RESULT_FILE };
+}
+
+export async function loadResult(jobId, stored) {
+  if (!isFileRef(stored)) return stored;
+  try {
+    const raw = await fs.readFile(path.join(jobDir(jobId), path.basename(stored.__file)), 'utf8');
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+export async function removeJobFiles(jobId) {
+  await fs.rm(jobDir(jobId), { recursive: true, force: true }).catch(() => {});
+}
+
+// Remove folders whose job record no longer exists (e.g. expired by TTL)
+export async function sweepOrphans(findExisting) {
+  let entries;
+  try {
+    entries = await fs.readdir(config.jobs.dir);
+  } catch {
+    return 0;
+  }
+  if (entries.length === 0) return 0;
+
+  const existing = await findExisting(entries);
+  const minAgeMs = config.jobs.stalledAfterSeconds * 1000; // don't race a job that is still being created
+  let removed = 0;
+  for (const id of entries) {
+    if (existing.has(id)) continue;
+    try {
+      const stats = await fs.stat(jobDir(id));
+      if (Date.now() - stats.mtimeMs < minAgeMs) continue;
+    } catch {
+      continue;
+    }
+    await removeJobFiles(id);
+    removed++;
+  }
+  return removed;
+}
@@ -1,101 +1,444 @@
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../middleware/logger.js';
+import config from '../config/config.js';
+import mongoStore from './stores/mongo-store.js';
+import memoryStore from './stores/memory-store.js';
+import {
+  persistPayload,
+  loadPayload,
+  discardPayload,
+  persistResult,
+  loadResult,
+  removeJobFiles,
+  sweepOrphans,
+} from './job-files.js';
+import { sweepResultFiles } from '../utils/result-storage.js';
 
-// Simple in-memory job queue and registry
-// Job lifecycle: queued -> processing -> completed | failed
-// This is ephemeral (resets on server restart). For durability, swap with Redis/Bull/etc.
+// Persistent job queue and registry
+// Job lifecycle: queued -> processing -> completed | failed | cancelled
+// Records live in the configured store (MongoDB by default) so queued and finished jobs
+// survive restarts. Payload buffers are kept on disk (see job-files.js), finished jobs
+// expire after config.jobs.resultTtlMinutes, and jobs whose worker died mid-run are requeued.
+// Up to config.jobs.concurrency jobs run at once (with optional per-type caps), and queued
+// jobs are claimed by priority: type lane plus a boost for active subscribers.
+// Failed jobs are retried automatically (per-type max attempts with exponential backoff)
+// and keep their payload until they expire, so clients can also retry them on demand.
+// Errors marked `retryable: false` (see permanentError) fail the job on the first attempt.
+// Every state change is published on `jobEvents` ('job' events) for streaming to clients.
 
-const jobs = new Map(); // jobId -> job record
-const queue = []; // FIFO of jobIds
-let isProcessing = false;
+// Emits 'job' with { id, status, progress, error, updatedAt } on every transition/progress update
+// Only reflects work done by this instance; listeners should also poll the store as a fallback
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // one listener per open event stream
 
-const processors = new Map(); // type -> async (payload, ctx) => result
+const stores = { mongo: mongoStore, memory: memoryStore };
+const store = stores[config.jobs.store] || mongoStore;
 
-function nowIso() {
-  return new Date().toISOString();
+const running = new Map(); // type -> number of jobs this instance is processing
+const abortControllers = new Map(); // jobId -> AbortController for jobs running here
+let activeCount = 0;
+let isClaiming = false;
+let rescheduleAfterClaim = false;
+let started = false;
+let pollTimer = null;
+let maintenanceTimer = null;
+
+const processors = new Map(); // type -> { fn: async (payload, ctx) => result, retry }
+
+// Exponential moving average of run time per type, used for wait estimates
+const avgDurationMs = new Map(); // type -> ms
+const DURATION_SMOOTHING = 0.3;
+
+function emitJob(id, fields) {
+  try {
+    jobEvents.emit('job', { id, updatedAt: new Date(), ...fields });
+  } catch (err) {
+    try { logger.warn('Job event listener failed', { error: err?.message || String(err) }); } catch {}
+  }
+}
+
+function expiryDate() {
+  return new Date(Date.now() + config.jobs.resultTtlMinutes * 60 * 1000);
+}
+
+// Error for failures that would repeat on every attempt (invalid input, limits): not retried
+export function permanentError(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+// options.maxAttempts / options.backoffMs override config.jobs retry defaults for this type
+export function registerProcessor(type, fn, options = {}) {
+  const maxAttempts = Number(options.maxAttempts ?? config.jobs.maxAttempts?.[type]) || 1;
+  const backoffMs = Number(options.backoffMs ?? config.jobs.retryBackoffSeconds * 1000) || 0;
+  processors.set(type, { fn, retry: { maxAttempts: Math.max(1, maxAttempts), backoffMs } });
+}
+
+function typeLimit(type) {
+  const limit = Number(config.jobs.typeConcurrency?.[type]);
+  return Number.isFinite(limit) && limit > 0 ? limit : config.jobs.concurrency;
 }
 
-export function registerProcessor(type, fn) {
-  processors.set(type, fn);
+function jobPriority(type, { subscriber = false } = {}) {
+  const base = Number(config.jobs.typePriority?.[type]) || 0;
+  return base + (subscriber ? config.jobs.subscriberPriorityBoost : 0);
 }
 
-export function createJob(type, payload) {
+// options.subscriber: the requester has an active subscription (jumps the queue)
+export async function createJob(type, payload, options = {}) {
   const id = uuidv4();
+  const now = new Date();
   const job = {
     id,
     type,
     status: 'queued',
     progress: 0,
-    createdAt: nowIso(),
-    updatedAt: nowIso(),
-    payload, // keep in memory; consider temp files for large payloads
+    priority: jobPriority(type, options),
+    createdAt: now,
+    updatedAt: now,
+    payload: await persistPayload(id, payload),
     result: null,
     error: null,
+    attempts: 0,
+    stalls: 0,
+    cancelRequested: false,
+    runAfter: null,
+    heartbeatAt: null,
+    startedAt: null,
+    expiresAt: null,
   };
-  jobs.set(id, job);
-  queue.push(id);
+  try {
+    await store.insert(job);
+  } catch (err) {
+    await removeJobFiles(id);
+    throw err;
+  }
+  emitJob(id, { status: 'queued', progress: 0 });
   // Minimal logging handled in controller; no queue-level log here
   scheduleProcess();
   return job;
 }
 
-export function getJob(jobId) {
-  return jobs.get(jobId) || null;
+// Record a job that is already done (e.g. served from the result cache) without queueing it
+// buildResult(jobId) produces the result, so result files can be stored under the job's id
+export async function createCompletedJob(type, buildResult) {
+  const id = uuidv4();
+  const now = new Date();
+  const result = await buildResult(id);
+  const job = {
+    id,
+    type,
+    status: 'completed',
+    progress: 100,
+    priority: jobPriority(type),
+    createdAt: now,
+    updatedAt: now,
+    payload: null,
+    result: await persistResult(id, result),
+    error: null,
+    attempts: 0,
+    stalls: 0,
+    cancelRequested: false,
+    runAfter: null,
+    heartbeatAt: null,
+    startedAt: now,
+    expiresAt: expiryDate(),
+  };
+  try {
+    await store.insert(job);
+  } catch (err) {
+    await removeJobFiles(id);
+    throw err;
+  }
+  emitJob(id, { status: 'completed', progress: 100, error: null });
+  return { ...job, result };
 }
 
-function scheduleProcess() {
-  if (!isProcessing) {
-    // Yield to event loop to keep server responsive
-    setImmediate(processNext);
+export async function getJob(jobId) {
+  const job = await store.get(jobId);
+  if (!job) return null;
+  if (job.result) job.result = await loadResult(job.id, job.result);
+  // A queued job waiting out its retry backoff reports when it becomes claimable
+  job.retryAt = job.status === 'queued' && job.runAfter && new Date(job.runAfter) > new Date() ? job.runAfter : null;
+  return job;
+}
+
+// Cancel a job: queued jobs are cancelled at once, processing jobs are flagged and stop
+// at the processor's next cooperative check (ctx.signal). Returns the updated job.
+export async function requestCancel(jobId) {
+  const now = new Date();
+  const cancelled = await store.updateWhere(jobId, ['queued'], {
+    status: 'cancelled',
+    error: 'Cancelled by client',
+    updatedAt: now,
+    expiresAt: expiryDate(),
+  });
+  if (cancelled) {
+    emitJob(jobId, { status: 'cancelled', error: 'Cancelled by client' });
+  } else if (await store.updateWhere(jobId, ['processing'], { cancelRequested: true, updatedAt: now })) {
+    abortControllers.get(jobId)?.abort(); // running on this instance: signal right away
   }
+  return getJob(jobId);
 }
 
-async function processNext() {
-  if (isProcessing) return;
-  const nextId = queue.shift();
-  if (!nextId) return; // nothing to do
+// Re-run a failed or cancelled job from its stored payload. Returns false if not allowed.
+export async function retryJob(jobId) {
+  const job = await store.get(jobId);
+  if (!job || !job.payload) return false;
+  const requeued = await store.updateWhere(jobId, ['failed', 'cancelled'], {
+    status: 'queued',
+    progress: 0,
+    result: null,
+    error: null,
+    attempts: 0,
+    stalls: 0,
+    cancelRequested: false,
+    runAfter: null,
+    heartbeatAt: null,
+    startedAt: null,
+    expiresAt: null,
+    updatedAt: new Date(),
+  });
+  if (requeued) {
+    emitJob(jobId, { status: 'queued', progress: 0 });
+    scheduleProcess();
+  }
+  return requeued;
+}
 
-  const job = jobs.get(nextId);
-  if (!job) return processNext();
+// Position in the queue (1 = next to run) and a rough wait estimate for a queued job
+export async function getQueueInfo(job) {
+  if (!job || job.status !== 'queued') return { queuePosition: null, estimatedWaitMs: null };
 
-  const processor = processors.get(job.type);
-  if (!processor) {
-    job.status = 'failed';
-    job.error = `No processor registered for job type: ${job.type}`;
-    job.updatedAt = nowIso();
-    return processNext();
+  const ahead = await store.countAhead(job);
+  const aheadCount = Object.values(ahead).reduce((sum, n) => sum + n, 0);
+
+  // Work ahead of this job (plus what is running now) shared across the worker slots
+  let workMs = 0;
+  let known = true;
+  for (const [type, count] of Object.entries(ahead)) {
+    const avg = avgDurationMs.get(type);
+    if (avg === undefined) known = false;
+    else workMs += avg * count;
   }
+  for (const [type, count] of running) {
+    const avg = avgDurationMs.get(type);
+    if (avg !== undefined) workMs += (avg * count) / 2; // assume running jobs are half done
+  }
+
+  return {
+    queuePosition: aheadCount + 1,
+    estimatedWaitMs: known ? Math.round(workMs / Math.max(1, config.jobs.concurrency)) : null,
+  };
+}
+
+// Start polling the store and recovering stalled jobs; call once the DB is connected
+export function startJobQueue() {
+  if (started) return;
+  started = true;
 
-  isProcessing = true;
-  job.status = 'processing';
-  job.updatedAt = nowIso();
+  pollTimer = setInterval(scheduleProcess, config.jobs.pollIntervalMs);
+  pollTimer.unref?.();
 
-  const ctx = {
-    reportProgress: (value) => {
-      job.progress = Math.max(0, Math.min(100, Number(value) || 0));
-      job.updatedAt = nowIso();
+  const maintenanceMs = Math.max(10_000, Math.round(config.jobs.stalledAfterSeconds * 1000 / 2));
+  maintenanceTimer = setInterval(runMaintenance, maintenanceMs);
+  maintenanceTimer.unref?.();
+
+  logger.info(`Job queue started (store: ${store.name}, concurrency: ${config.jobs.concurrency})`);
+  runMaintenance().finally(scheduleProcess);
+}
+
+export function stopJobQueue() {
+  if (pollTimer) clearInterval(pollTimer);
+  if (maintenanceTimer) clearInterval(maintenanceTimer);
+  pollTimer = null;
+  maintenanceTimer = null;
+  started = false;
+}
+
+async function runMaintenance() {
+  try {
+    await recoverStalledJobs();
+    await store.purgeExpired();
+    await sweepOrphans((ids) => store.findExisting(ids));
+    await sweepResultFiles((ids) => store.findExisting(ids));
+  } catch (err) {
+    try { logger.warn('Job queue maintenance failed', { error: err?.message || String(err) }); } catch {}
+  }
+}
+
+async function recoverStalledJobs() {
+  const staleBefore = new Date(Date.now() - config.jobs.stalledAfterSeconds * 1000);
+  const stalled = await store.findStalled(staleBefore);
+  for (const job of stalled) {
+    if (job.cancelRequested) {
+      await finishJob(job.id, { status: 'cancelled', error: 'Cancelled by client', cancelRequested: false });
+      continue;
     }
-  };
+    const stalls = (job.stalls || 0) + 1;
+    if (stalls >= config.jobs.maxStalledAttempts) {
+      await finishJob(job.id, { status: 'failed', error: `Job stalled ${stalls} times, giving up` });
+      continue;
+    }
+    if (await store.requeueIfStalled(job.id, staleBefore)) {
+      emitJob(job.id, { status: 'queued', progress: 0 });
+      try { logger.warn('Requeued stalled job', { jobId: job.id, type: job.type }); } catch {}
+    }
+  }
+}
+
+async function finishJob(jobId, patch) {
+  const now = new Date();
+  const completed = patch.status === 'completed';
+  await store.update(jobId, {
+    ...patch,
+    ...(completed ? { payload: null } : {}), // failed/cancelled jobs keep their payload for retries
+    heartbeatAt: null,
+    updatedAt: now,
+    expiresAt: expiryDate(),
+  });
+  emitJob(jobId, { status: patch.status, progress: patch.progress, error: patch.error ?? null });
+  // Free up payload files after completion to reduce footprint
+  if (completed) await discardPayload(jobId);
+}
 
+// Put a failed job back in the queue after an exponential backoff
+async function scheduleRetry(job, retry, err) {
+  const delayMs = retry.backoffMs * 2 ** Math.max(0, (job.attempts || 1) - 1);
+  const retryAt = new Date(Date.now() + delayMs);
+  await store.update(job.id, {
+    status: 'queued',
+    progress: 0,
+    error: err?.message || String(err),
+    runAfter: retryAt,
+    heartbeatAt: null,
+    updatedAt: new Date(),
+  });
+  emitJob(job.id, { status: 'queued', progress: 0, error: err?.message || String(err), retryAt });
+  try { logger.warn('Job failed, retry scheduled', { jobId: job.id, type: job.type, attempt: job.attempts, delayMs }); } catch {}
+  const timer = setTimeout(scheduleProcess, delayMs + 10);
+  timer.unref?.();
+}
+
+function scheduleProcess() {
+  if (!started) return;
+  if (isClaiming) {
+    rescheduleAfterClaim = true;
+    return;
+  }
+  // Yield to event loop to keep server responsive
+  setImmediate(fillWorkers);
+}
+
+// Job types whose per-type concurrency limit is reached on this instance
+function saturatedTypes() {
+  return [...running].filter(([type, count]) => count >= typeLimit(type)).map(([type]) => type);
+}
+
+// Claim queued jobs until every worker slot is busy
+async function fillWorkers() {
+  if (!started || isClaiming) return;
+  isClaiming = true;
+  rescheduleAfterClaim = false;
   try {
-    const result = await processor(job.payload, ctx);
-    job.result = result;
-    job.status = 'completed';
-    job.progress = 100;
-    job.updatedAt = nowIso();
+    while (started && activeCount < config.jobs.concurrency) {
+      const job = await store.claimNext({ excludeTypes: saturatedTypes() });
+      if (!job) break; // nothing to do
+      runJob(job);
+    }
   } catch (err) {
-    job.status = 'failed';
-    job.error = err?.message || String(err);
-    job.updatedAt = nowIso();
-    try { logger.error('Work failed'); } catch {}
+    try { logger.error('Failed to claim next job', { error: err?.message || String(err) }); } catch {}
   } finally {
-    isProcessing = false;
-    try { if (job.status === 'completed') logger.info('Work done'); } catch {}
-    // Free up payload memory after completion to reduce footprint
-    if (job.status === 'completed' || job.status === 'failed') {
-      try { delete job.payload; } catch {}
+    isClaiming = false;
+    if (rescheduleAfterClaim) scheduleProcess();
+  }
+}
+
+async function runJob(job) {
+  activeCount++;
+  running.set(job.type, (running.get(job.type) || 0) + 1);
+  emitJob(job.id, { status: 'processing', progress: job.progress || 0 });
+
+  const t0 = Date.now();
+  let status = 'failed';
+  const processor = processors.get(job.type);
+  const controller = new AbortController();
+  abortControllers.set(job.id, controller);
+  // Progress writes are chained so a late one can't land after the final update, and
+  // progress reported after the processor returned is ignored
+  let progressWrite = Promise.resolve();
+  let settled = false;
+
+  const heartbeat = setInterval(() => {
+    store.update(job.id, { heartbeatAt: new Date() }).catch(() => {});
+  }, Math.max(1000, Math.round(config.jobs.stalledAfterSeconds * 1000 / 3)));
+  // Cancellation may be requested through another instance; pick it up from the store
+  const cancelWatch = setInterval(() => {
+    store.get(job.id)
+      .then((current) => { if (current?.cancelRequested) controller.abort(); })
+      .catch(() => {});
+  }, config.jobs.pollIntervalMs);
+
+  try {
+    if (!processor) {
+      throw new Error(`No processor registered for job type: ${job.type}`);
+    }
+    if (job.cancelRequested) controller.abort();
+
+    const ctx = {
+      jobId: job.id,
+      signal: controller.signal,
+      reportProgress: (value) => {
+        if (settled) return;
+        const progress = Math.max(0, Math.min(100, Number(value) || 0));
+        const now = new Date();
+        progressWrite = progressWrite
+          .then(() => store.update(job.id, { progress, heartbeatAt: now, updatedAt: now }))
+          .catch(() => {});
+        emitJob(job.id, { status: 'processing', progress });
+      }
+    };
+
+    const payload = await loadPayload(job.id, job.payload);
+    let result;
+    try {
+      result = await processor.fn(payload, ctx);
+    } finally {
+      settled = true;
+      await progressWrite;
     }
+    if (controller.signal.aborted) throw new Error('Cancelled by client');
+    await finishJob(job.id, { status: 'completed', progress: 100, result: await persistResult(job.id, result) });
+    status = 'completed';
+
+    const ms = Date.now() - t0;
+    const prev = avgDurationMs.get(job.type);
+    avgDurationMs.set(job.type, prev === undefined ? ms : prev + DURATION_SMOOTHING * (ms - prev));
+  } catch (err) {
+    try {
+      if (controller.signal.aborted) {
+        status = 'cancelled';
+        await finishJob(job.id, { status: 'cancelled', error: 'Cancelled by client', cancelRequested: false });
+      } else if (processor && err?.retryable !== false && (job.attempts || 1) < processor.retry.maxAttempts) {
+        status = 'queued';
+        await scheduleRetry(job, processor.retry, err);
+      } else {
+        await finishJob(job.id, { status: 'failed', error: err?.message || String(err) });
+      }
+    } catch {}
+    try { if (status === 'failed') logger.error('Work failed'); } catch {}
+  } finally {
+    clearInterval(heartbeat);
+    clearInterval(cancelWatch);
+    abortControllers.delete(job.id);
+    activeCount--;
+    const left = (running.get(job.type) || 1) - 1;
+    if (left > 0) running.set(job.type, left);
+    else running.delete(job.type);
+    try { if (status === 'completed') logger.info('Work done'); } catch {}
     // Schedule next job
-    setImmediate(processNext);
+    scheduleProcess();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,95 @@
+import sharp from 'sharp';
+import { parseColor } from '../../utils/color.js';
+import { MAX_INPUT_PIXELS, checkImageLimits, fetchImage } from '../../utils/image-limits.js';
+
+// Background replacement for cut-outs
+// background: { type: 'color', color } | { type: 'gradient', from, to, angle }
+//           | { type: 'image', file: { buffer } } | { type: 'template', imageUrl }
+// layout (optional, from a Template): { reference: { width, height }, photo: { x, y, width, height }, scale }
+// With a layout the canvas is coordinate_reference * scale and the subject is fitted into
+// photo_container_axis; without one the canvas is the cut-out's own size.
+// Background images are held to the same size and pixel limits as template renders (413 on overflow).
+
+function toSharpColor(value, fallback) {
+  const c = parseColor(value) || parseColor(fallback);
+  return { r: c.r, g: c.g, b: c.b, alpha: c.alpha };
+}
+
+function gradientSvg(width, height, { from, to, angle = 180 }) {
+  // CSS-style angle: 0deg points up, 90deg right, 180deg down (default: top -> bottom)
+  const rad = ((Number(angle) || 0) * Math.PI) / 180;
+  const dx = Math.sin(rad) / 2;
+  const dy = -Math.cos(rad) / 2;
+  const a = toSharpColor(from, '#ffffff');
+  const b = toSharpColor(to, '#000000');
+  const stop = (c, offset) => `<stop offset="${offset}" stop-color="rgb(${c.r},${c.g},${c.b})" stop-opacity="${c.alpha}"/>`;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<defs><linearGradient id="g" x1="${0.5 - dx}" y1="${0.5 - dy}" x2="${0.5 + dx}" y2="${0.5 + dy}">` +
+    `${stop(a, 0)}${stop(b, 1)}</linearGradient></defs>` +
+    `<rect width="100%" height="100%" fill="url(#g)"/></svg>`
+  );
+}
+
+async function renderBackground(background, width, height, { signal } = {}) {
+  switch (background.type) {
+    case 'color':
+      return await sharp({ create: { width, height, channels: 4, background: toSharpColor(background.color, '#ffffff') } }).png().toBuffer();
+    case 'gradient':
+      return await sharp(gradientSvg(width, height, background)).resize(width, height).png().toBuffer();
+    case 'image':
+    case 'template': {
+      const source = background.type === 'image' ? background.file?.buffer : await fetchImage(background.imageUrl, { signal });
+      if (!source?.length) throw new Error('Background image is empty');
+      await checkImageLimits(source);
+      return await sharp(source, { limitInputPixels: MAX_INPUT_PIXELS }).rotate().resize(width, height, { fit: 'cover' }).png().toBuffer();
+    }
+    default:
+      throw new Error(`Unknown background type: ${background.type}`);
+  }
+}
+
+function scaleBox(box, scale) {
+  return {
+    left: Math.round((Number(box.x) || 0) * scale),
+    top: Math.round((Number(box.y) || 0) * scale),
+    width: Math.max(1, Math.round((Number(box.width) || 1) * scale)),
+    height: Math.max(1, Math.round((Number(box.height) || 1) * scale)),
+  };
+}
+
+export async function compositeOnBackground(cutout, background, layout = null, { signal } = {}) {
+  let canvas;
+  let slot;
+  if (layout?.reference) {
+    const scale = Number(layout.scale) || 1;
+    canvas = {
+      width: Math.max(1, Math.round(layout.reference.width * scale)),
+      height: Math.max(1, Math.round(layout.reference.height * scale)),
+    };
+    slot = scaleBox(layout.photo || { x: 0, y: 0, ...layout.reference }, scale);
+  } else {
+    const meta = await sharp(cutout).metadata();
+    canvas = { width: meta.width, height: meta.height };
+    slot = { left: 0, top: 0, ...canvas };
+  }
+
+  // Keep the slot on the canvas so sharp can composite it
+  slot.left = Math.max(0, Math.min(slot.left, canvas.width - 1));
+  slot.top = Math.max(0, Math.min(slot.top, canvas.height - 1));
+  slot.width = Math.min(slot.width, canvas.width - slot.left);
+  slot.height = Math.min(slot.height, canvas.height - slot.top);
+
+  const subject = await sharp(cutout)
+    .resize(slot.width, slot.height, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+
+  const base = await renderBackground(background, canvas.width, canvas.height, { signal });
+  const output = await sharp(base)
+    .composite([{ input: subject, left: slot.left, top: slot.top }])
+    .png()
+    .toBuffer();
+
+  return { output, width: canvas.width, height: canvas.height };
+}
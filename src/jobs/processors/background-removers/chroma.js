@@ -0,0 +1,66 @@
+import sharp from 'sharp';
+import config from '../../../config/config.js';
+import { parseColor } from '../../../utils/color.js';
+
+// Simple engine for flat / studio backgrounds: the background colour is estimated from
+// the image border (per-channel median) and pixels close to it become transparent.
+// Pixels within `threshold` of the key colour are fully transparent; alpha then ramps up
+// over `softness` so edges stay smooth.
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function borderColor(data, width, height) {
+  const channels = [[], [], []];
+  const push = (x, y) => {
+    const i = (y * width + x) * 3;
+    channels[0].push(data[i]);
+    channels[1].push(data[i + 1]);
+    channels[2].push(data[i + 2]);
+  };
+  for (let x = 0; x < width; x++) {
+    push(x, 0);
+    push(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    push(0, y);
+    push(width - 1, y);
+  }
+  return channels.map(median);
+}
+
+export default {
+  name: 'chroma',
+
+  async probe() {
+    return {};
+  },
+
+  async remove(buffer) {
+    const { threshold, softness, color } = config.backgroundRemoval.chroma;
+    const { data, info } = await sharp(buffer).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    const parsed = parseColor(color);
+    const key = parsed ? [parsed.r, parsed.g, parsed.b] : borderColor(data, width, height);
+    const alpha = Buffer.alloc(width * height);
+    const soft = Math.max(1, softness);
+
+    for (let p = 0, i = 0; p < alpha.length; p++, i += 3) {
+      const dr = data[i] - key[0];
+      const dg = data[i + 1] - key[1];
+      const db = data[i + 2] - key[2];
+      const dist = Math.sqrt(dr * dr + dg * dg + db * db);
+      if (dist <= threshold) alpha[p] = 0;
+      else if (dist >= threshold + soft) alpha[p] = 255;
+      else alpha[p] = Math.round(((dist - threshold) / soft) * 255);
+    }
+
+    return await sharp(data, { raw: { width, height, channels: 3 } })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+  },
+};
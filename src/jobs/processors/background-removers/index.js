@@ -0,0 +1,49 @@
+import config from '../../../config/config.js';
+import transparentBackground from './transparent-background.js';
+import onnx from './onnx.js';
+import chroma from './chroma.js';
+
+// Pluggable background-removal engines
+// Every engine exposes the same shape:
+//   name:            identifier used in config.backgroundRemoval.engine and ?engine=
+//   probe():         cheap readiness check (package installed, model file present): resolves with
+//                    engine details, throws with the reason otherwise. Must not load the engine.
+//   remove(buffer):  resolves with a PNG buffer that carries an alpha channel
+// Add a new engine by creating a module here and registering it below.
+
+const engines = new Map([transparentBackground, onnx, chroma].map(engine => [engine.name, engine]));
+
+export const ENGINE_NAMES = [...engines.keys()];
+
+export function defaultEngineName() {
+  return config.backgroundRemoval.engine;
+}
+
+export function isKnownEngine(name) {
+  return engines.has(name);
+}
+
+export function getRemover(name) {
+  const engineName = name || defaultEngineName();
+  const engine = engines.get(engineName);
+  if (!engine) throw new Error(`Unknown background removal engine: ${engineName}`);
+  return engine;
+}
+
+// Configured engines and whether each one is installed, for /health. Engines are loaded
+// (and can still fail) inside the worker threads that run them, never here.
+export async function describeEngines() {
+  const entries = await Promise.all(ENGINE_NAMES.map(async (name) => {
+    try {
+      const details = await engines.get(name).probe();
+      return { name, available: true, ...details };
+    } catch (err) {
+      return { name, available: false, reason: err?.message || String(err) };
+    }
+  }));
+  return {
+    default: defaultEngineName(),
+    workerThreads: config.jobs.useWorkerThreads ? config.jobs.workerThreads : 0,
+    engines: entries,
+  };
+}
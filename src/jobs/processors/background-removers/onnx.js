@@ -0,0 +1,116 @@
+import fs from 'fs';
+import sharp from 'sharp';
+import config from '../../../config/config.js';
+import { isPackageInstalled } from './resolve-package.js';
+
+// Local ONNX Runtime (CPU) engine for salient-object / matting models on disk
+// Supported model layouts (config.backgroundRemoval.onnx.model):
+// - u2net:  RGB scaled to [0,1] then ImageNet mean/std, 320x320, output min-max normalised
+// - modnet: RGB scaled to [-1,1], 512x512, output is already an alpha matte in [0,1]
+
+const MODEL_PRESETS = {
+  u2net: { size: 320, mean: [0.485, 0.456, 0.406], std: [0.229, 0.224, 0.225], normalizeOutput: true },
+  modnet: { size: 512, mean: [0.5, 0.5, 0.5], std: [0.5, 0.5, 0.5], normalizeOutput: false },
+};
+
+let sessionPromise = null;
+
+function modelSettings() {
+  const { model, modelPath, inputSize } = config.backgroundRemoval.onnx;
+  const preset = MODEL_PRESETS[model] || MODEL_PRESETS.u2net;
+  return { ...preset, model: MODEL_PRESETS[model] ? model : 'u2net', modelPath, size: inputSize || preset.size };
+}
+
+function loadSession() {
+  if (!sessionPromise) {
+    sessionPromise = (async () => {
+      const { modelPath } = modelSettings();
+      if (!modelPath || !fs.existsSync(modelPath)) {
+        throw new Error(`ONNX model not found at ${modelPath || '(ONNX_MODEL_PATH not set)'}`);
+      }
+      let ort;
+      try {
+        ort = await import('onnxruntime-node');
+      } catch (e) {
+        throw new Error(`Background removal engine unavailable (onnxruntime-node): ${e?.message || e}`);
+      }
+      const session = await ort.InferenceSession.create(modelPath, {
+        executionProviders: ['cpu'],
+        intraOpNumThreads: config.backgroundRemoval.onnx.threads,
+      });
+      return { ort, session };
+    })().catch((err) => {
+      sessionPromise = null;
+      throw err;
+    });
+  }
+  return sessionPromise;
+}
+
+export default {
+  name: 'onnx',
+
+  async probe() {
+    const { modelPath } = modelSettings();
+    if (!modelPath || !fs.existsSync(modelPath)) {
+      throw new Error(`ONNX model not found at ${modelPath || '(ONNX_MODEL_PATH not set)'}`);
+    }
+    if (!isPackageInstalled('onnxruntime-node')) {
+      throw new Error('Background removal engine unavailable (onnxruntime-node is not installed)');
+    }
+    const { model } = modelSettings();
+    return { model };
+  },
+
+  async remove(buffer) {
+    const { ort, session } = await loadSession();
+    const { size, mean, std, normalizeOutput } = modelSettings();
+
+    // Apply EXIF orientation once so the mask lines up with the pixels we return
+    const { data: rgb, info } = await sharp(buffer).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    const { data: input } = await sharp(rgb, { raw: { width: info.width, height: info.height, channels: 3 } })
+      .resize(size, size, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // HWC uint8 -> normalised NCHW float32
+    const plane = size * size;
+    const chw = new Float32Array(3 * plane);
+    for (let i = 0; i < plane; i++) {
+      for (let c = 0; c < 3; c++) {
+        chw[c * plane + i] = (input[i * 3 + c] / 255 - mean[c]) / std[c];
+      }
+    }
+
+    const feeds = { [session.inputNames[0]]: new ort.Tensor('float32', chw, [1, 3, size, size]) };
+    const outputs = await session.run(feeds);
+    const pred = outputs[session.outputNames[0]].data;
+
+    let min = 0;
+    let max = 1;
+    if (normalizeOutput) {
+      min = Infinity;
+      max = -Infinity;
+      for (let i = 0; i < plane; i++) {
+        if (pred[i] < min) min = pred[i];
+        if (pred[i] > max) max = pred[i];
+      }
+    }
+    const range = max - min || 1;
+    const mask = Buffer.alloc(plane);
+    for (let i = 0; i < plane; i++) {
+      mask[i] = Math.max(0, Math.min(255, Math.round(((pred[i] - min) / range) * 255)));
+    }
+
+    const alpha = await sharp(mask, { raw: { width: size, height: size, channels: 1 } })
+      .resize(info.width, info.height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    return await sharp(rgb, { raw: { width: info.width, height: info.height, channels: 3 } })
+      .joinChannel(alpha, { raw: { width: info.width, height: info.height, channels: 1 } })
+      .png()
+      .toBuffer();
+  },
+};
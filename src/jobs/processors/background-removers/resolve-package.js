@@ -0,0 +1,15 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Whether an optional engine package is installed, without loading it (health checks run on
+// the HTTP thread; the engines themselves only load inside worker threads)
+export function isPackageInstalled(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (err) {
+    // ESM-only packages without a "require" export still resolve as installed
+    return err?.code !== 'MODULE_NOT_FOUND';
+  }
+}
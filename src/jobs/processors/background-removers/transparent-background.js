@@ -0,0 +1,41 @@
+import config from '../../../config/config.js';
+import { isPackageInstalled } from './resolve-package.js';
+
+// Engine backed by the `transparent-background` package (loaded on first use)
+
+let modulePromise = null;
+
+function loadModule() {
+  if (!modulePromise) {
+    // Force CPU-only execution if configured
+    if (!config.backgroundRemoval.useGpu) {
+      try {
+        process.env.CUDA_VISIBLE_DEVICES = '';
+        process.env.USE_CUDA = '0';
+        process.env.ORT_OVERRIDE_PROVIDER = 'cpu';
+      } catch {}
+    }
+    // Dynamic import to ensure env vars are set before loading the lib
+    modulePromise = import('transparent-background').catch((e) => {
+      modulePromise = null;
+      throw new Error(`Background removal engine unavailable (transparent-background): ${e?.message || e}`);
+    });
+  }
+  return modulePromise;
+}
+
+export default {
+  name: 'transparent-background',
+
+  async probe() {
+    if (!isPackageInstalled('transparent-background')) {
+      throw new Error('Background removal engine unavailable (transparent-background is not installed)');
+    }
+    return {};
+  },
+
+  async remove(buffer) {
+    const { transparentBackground } = await loadModule();
+    return await transparentBackground(buffer, 'png', { fast: false });
+  },
+};
@@ -1,6 +1,11 @@
 import sharp from 'sharp';
 import { logger } from '../../middleware/logger.js';
 import config from '../../config/config.js';
+import { storeResultFile } from '../../utils/result-storage.js';
+import { getRemover } from './background-removers/index.js';
+import { hasRefinement, refineMatte } from './matte-refinement.js';
+import { compositeOnBackground } from './background-compositor.js';
+import { putCached } from '../../utils/result-cache.js';
 
 // Resize helper to bound images to a max dimension to speed up CPU processing
 async function preResize(buffer, maxDim = 1024) {
@@ -15,29 +20,67 @@ async function preResize(buffer, maxDim = 1024) {
   }
 }
 
-async function removeBackground(buffer) {
+async function finalizePng(buffer) {
+  return await sharp(buffer)
+    .png({ quality: 100, compressionLevel: 6, adaptiveFiltering: true })
+    .toBuffer();
+}
+
+// Run removal for one file. Outcome status:
+// - processed: background removed
+// - fallback: removal failed, output is the (resized) original; only when not strict
+// - failed: removal failed in strict mode, or the image could not be encoded at all
+async function removeWithOutcome(file, options = {}) {
+  const resized = await preResize(file.buffer, options.maxSize || 1024);
   try {
-    // Force CPU-only execution if configured
-    if (!config.backgroundRemoval.useGpu) {
-      try {
-        process.env.CUDA_VISIBLE_DEVICES = '';
-        process.env.USE_CUDA = '0';
-        process.env.ORT_OVERRIDE_PROVIDER = 'cpu';
-      } catch {}
+    // Throws when removal fails; the status below decides between fallback and failure
+    const removed = await getRemover(options.engine).remove(resized);
+    // Matte refinement only makes sense on a real cut-out, never on the fallback original
+    const refined = hasRefinement(options.refine) ? await refineMatte(removed, options.refine) : removed;
+    return { status: 'processed', output: await finalizePng(refined) };
+  } catch (err) {
+    const reason = err?.message || String(err);
+    if (options.strict) return { status: 'failed', reason };
+    try {
+      return { status: 'fallback', reason, output: await finalizePng(resized) };
+    } catch (encodeErr) {
+      return { status: 'failed', reason: `${reason}; fallback failed: ${encodeErr?.message || encodeErr}` };
     }
-    // Dynamic import to ensure env vars are set before loading the lib
-    const { transparentBackground } = await import('transparent-background');
-    return await transparentBackground(buffer, 'png', { fast: false });
-  } catch (e) {
-    // Fallback: return original if background removal fails
-    return buffer;
   }
 }
 
-async function finalizePng(buffer) {
-  return await sharp(buffer)
-    .png({ quality: 100, compressionLevel: 6, adaptiveFiltering: true })
-    .toBuffer();
+function throwIfCancelled(ctx) {
+  if (ctx?.signal?.aborted) throw new Error('Cancelled by client');
+}
+
+function extensionFor(mimetype) {
+  return (String(mimetype).split('/')[1] || 'bin').replace('jpeg', 'jpg');
+}
+
+// Write the output image to result storage. Results carry its URL only; the status endpoints
+// read the file back when a client asks for base64 (?inline=1)
+async function describeOutput(ctx, file, output, { name, mimetype }) {
+  const stored = await storeResultFile(ctx?.jobId || 'adhoc', `${name}.${extensionFor(mimetype)}`, output, { contentType: mimetype });
+  let dims = {};
+  try {
+    const meta = await sharp(output).metadata();
+    dims = { width: meta.width, height: meta.height };
+  } catch {}
+
+  return {
+    processedImageUrl: stored.url,
+    expiresAt: stored.expiresAt,
+    storage: stored.storage,
+    fileName: stored.fileName,
+    ...(stored.publicId ? { publicId: stored.publicId } : {}),
+    metadata: {
+      originalSize: file.buffer.length,
+      processedSize: output.length,
+      contentType: mimetype,
+      ...dims,
+      compression: ((1 - output.length / file.buffer.length) * 100).toFixed(1) + '%',
+    },
+  };
 }
 
 export async function processSingle(payload, ctx) {
@@ -45,79 +88,141 @@ export async function processSingle(payload, ctx) {
   if (!file?.buffer?.length) throw new Error('Invalid file buffer');
 
   // Resize to speed up, then remove background, then finalize PNG
-  const maxSize = payload?.options?.maxSize || 1024;
-  const resized = await preResize(file.buffer, maxSize);
-  const removed = await removeBackground(resized);
-  const processed = await finalizePng(removed);
+  const options = payload?.options || {};
+  const outcome = await removeWithOutcome(file, options);
+  throwIfCancelled(ctx);
+  if (outcome.status === 'failed') throw new Error(`Background removal failed: ${outcome.reason}`);
+
+  // Optional background replacement; skipped for fallbacks since there is no cut-out to place
+  let image = outcome.output;
+  let composite = null;
+  if (options.background && outcome.status === 'processed') {
+    try {
+      const result = await compositeOnBackground(outcome.output, options.background, options.layout, { signal: ctx?.signal });
+      image = await finalizePng(result.output);
+      composite = {
+        background: options.background.type,
+        width: result.width,
+        height: result.height,
+        ...(options.layout?.templateId ? { templateId: options.layout.templateId } : {}),
+      };
+    } catch (err) {
+      throwIfCancelled(ctx);
+      const wrapped = new Error(`Background replacement failed: ${err?.message || err}`);
+      // Keep 413s for oversized backgrounds and their no-retry flag
+      if (err?.status) wrapped.status = err.status;
+      if (err?.retryable === false) wrapped.retryable = false;
+      throw wrapped;
+    }
+    throwIfCancelled(ctx);
+  }
 
-  const originalBase64 = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
-  const processedBase64 = `data:image/png;base64,${processed.toString('base64')}`;
+  // Cache real cut-outs only; fallbacks should be retried next time
+  if (options.cacheKey && outcome.status === 'processed') {
+    try {
+      await putCached(options.cacheKey, image, { engine: getRemover(options.engine).name, composite });
+    } catch (err) {
+      try { logger.warn('Could not write result cache entry', { error: err?.message || String(err) }); } catch {}
+    }
+  }
+
+  return singleResult(ctx, file, options, { status: outcome.status, reason: outcome.reason, image, composite });
+}
+
+// Response shape shared by freshly processed and cached single-image results
+async function singleResult(ctx, file, options, { status, reason, image, composite, cached = false }) {
+  const output = await describeOutput(ctx, file, image, {
+    name: 'processed',
+    mimetype: 'image/png',
+  });
+  output.metadata.filename = file.originalname || 'image';
+  output.metadata.engine = getRemover(options.engine).name;
+  if (composite) output.metadata.composite = composite;
 
   return {
     success: true,
-    originalImage: originalBase64,
-    processedImage: processedBase64,
-    metadata: {
-      originalSize: file.buffer.length,
-      processedSize: processed.length,
-      filename: file.originalname || 'image',
-      compression: ((1 - processed.length / file.buffer.length) * 100).toFixed(1) + '%',
-    },
+    status,
+    ...(cached ? { cached: true } : {}),
+    ...(status === 'fallback'
+      ? {
+        warning: options.background
+          ? 'Background removal failed, using original image without the replacement background'
+          : 'Background removal failed, using original image',
+        reason,
+      }
+      : {}),
+    ...output,
   };
 }
 
+// Build a single-image result from a result-cache entry (see utils/result-cache.js)
+export async function cachedSingleResult(payload, cached, ctx) {
+  const options = payload?.options || {};
+  return singleResult(ctx, payload.file, options, {
+    status: 'processed',
+    image: cached.output,
+    composite: cached.meta?.composite || null,
+    cached: true,
+  });
+}
+
 export async function processBatch(payload, ctx) {
   const { files } = payload; // array of { buffer, mimetype, originalname }
   if (!Array.isArray(files) || files.length === 0) throw new Error('No files in payload');
 
   const t0 = Date.now();
-  let successCount = 0;
-  let failCount = 0;
+  const counts = { processed: 0, fallback: 0, failed: 0 };
+  const options = payload?.options || {};
 
   const results = [];
   for (let i = 0; i < files.length; i++) {
+    // Cooperative cancellation point between images (DELETE /status/:jobId)
+    throwIfCancelled(ctx);
     const file = files[i];
+    const filename = file?.originalname || `image_${i + 1}`;
 
+    let outcome;
     try {
-      const maxSize = payload?.options?.maxSize || 1024;
-      const resized = await preResize(file.buffer, maxSize);
-      const removed = await removeBackground(resized);
-      const processed = await finalizePng(removed);
-
-      const originalBase64 = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
-      const processedBase64 = `data:image/png;base64,${processed.toString('base64')}`;
-
-      results.push({
-        success: true,
-        index: i,
-        originalImage: originalBase64,
-        processedImage: processedBase64,
-        metadata: {
-          originalSize: file.buffer.length,
-          processedSize: processed.length,
-          filename: file.originalname || `image_${i + 1}`,
-          compression: ((1 - processed.length / file.buffer.length) * 100).toFixed(1) + '%',
-        },
-      });
-      successCount++;
+      if (!file?.buffer?.length) throw new Error('Invalid file buffer');
+      outcome = await removeWithOutcome(file, options);
     } catch (err) {
-      // Fallback: include original image if processing fails
-      results.push({
-        success: true,
-        index: i,
-        originalImage: `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-        processedImage: `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-        warning: 'Background removal failed, using original image',
-        error: err?.message || String(err),
-      });
-      failCount++;
+      outcome = { status: 'failed', reason: err?.message || String(err) };
     }
 
+    if (outcome.status === 'failed') {
+      results.push({ success: false, status: 'failed', index: i, reason: outcome.reason, metadata: { filename } });
+    } else {
+      try {
+        const output = await describeOutput(ctx, file, outcome.output, { name: `processed_${i + 1}`, mimetype: 'image/png' });
+        output.metadata.filename = filename;
+        results.push({
+          success: true,
+          status: outcome.status,
+          index: i,
+          ...(outcome.status === 'fallback'
+            ? { warning: 'Background removal failed, using original image', reason: outcome.reason }
+            : {}),
+          ...output,
+        });
+      } catch (err) {
+        outcome = { status: 'failed', reason: `Could not store result: ${err?.message || err}` };
+        results.push({ success: false, status: 'failed', index: i, reason: outcome.reason, metadata: { filename } });
+      }
+    }
+    counts[outcome.status]++;
+
     // Yield to event loop between images to keep server responsive
     await new Promise((r) => setImmediate(r));
     if (ctx?.reportProgress) ctx.reportProgress(Math.round(((i + 1) / files.length) * 100));
   }
 
   const ms = Date.now() - t0;
-  return { success: true, results, summary: { total: files.length, success: successCount, failed: failCount, ms } };
+  return {
+    success: counts.failed < files.length,
+    strict: !!options.strict,
+    engine: getRemover(options.engine).name,
+    results,
+    // success mirrors processed (background actually removed) for older clients
+    summary: { total: files.length, ...counts, success: counts.processed, ms },
+  };
 }
@@ -0,0 +1,182 @@
+import sharp from 'sharp';
+import { parseColor } from '../../utils/color.js';
+
+// Post-processing for background-removed PNGs, applied in this order:
+// alpha threshold -> erode/dilate -> feather -> auto-crop (+padding) -> outline stroke -> drop shadow
+// Options (all optional):
+// {
+//   alphaThreshold: 0-255   alpha below this becomes fully transparent (removes haze)
+//   erode / dilate: px      shrink / grow the matte (solid edges move by this; specks and thin strands less)
+//   feather: px             soften the matte edge
+//   crop: { padding }       trim to the subject bounding box, then pad with transparency
+//   stroke: { width, color }
+//   shadow: { blur, offsetX, offsetY, color, opacity }
+// }
+
+export function hasRefinement(refine) {
+  if (!refine) return false;
+  return !!(refine.alphaThreshold || refine.erode || refine.dilate || refine.feather || refine.crop || refine.stroke || refine.shadow);
+}
+
+// Blurred level a straight edge reaches `radius` px away when sigma = radius / 2 (255 * Phi(-2))
+const EDGE_LEVEL = 6;
+
+function rawMask(width, height) {
+  return { raw: { width, height, channels: 1 } };
+}
+
+function singleBand(image) {
+  return image.extractChannel(0).raw().toBuffer();
+}
+
+// Grow (dilate) or shrink (erode) the matte by `radius` px with native ops, so the cost doesn't
+// depend on the radius: blur the solid part of the matte, threshold at the level the edge reaches
+// `radius` px out (or in), then OR / AND that mask with the matte. Each step is its own pipeline
+// because sharp thresholds before it blurs within one.
+async function morph(alpha, width, height, radius, mode) {
+  if (radius <= 0) return alpha;
+  const solid = await singleBand(sharp(alpha, rawMask(width, height)).threshold(128, { grayscale: true }));
+  const spread = await singleBand(sharp(solid, rawMask(width, height)).blur({ sigma: radius / 2, minAmplitude: 0.01, precision: 'approximate' }));
+  const level = mode === 'erode' ? 256 - EDGE_LEVEL : EDGE_LEVEL;
+  const reach = await singleBand(sharp(spread, rawMask(width, height)).threshold(level, { grayscale: true }));
+  // reach is 0/255, so bitwise AND / OR with it is min / max
+  return singleBand(sharp(alpha, rawMask(width, height)).boolean(reach, mode === 'erode' ? 'and' : 'or', rawMask(width, height)));
+}
+
+async function blurAlpha(alpha, width, height, radius) {
+  if (radius <= 0) return alpha;
+  return await sharp(alpha, { raw: { width, height, channels: 1 } })
+    .blur(Math.max(0.3, radius / 2))
+    .raw()
+    .toBuffer();
+}
+
+function boundingBox(alpha, width, height) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (alpha[y * width + x] === 0) continue;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+  }
+  if (right < 0) return null;
+  return { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// Solid colour layer whose alpha is `mask` scaled by the colour's own alpha and `opacity`
+function colorLayer(mask, width, height, color, opacity = 1) {
+  const layer = Buffer.alloc(width * height * 4);
+  const scale = color.alpha * opacity;
+  for (let p = 0; p < mask.length; p++) {
+    const o = p * 4;
+    layer[o] = color.r;
+    layer[o + 1] = color.g;
+    layer[o + 2] = color.b;
+    layer[o + 3] = Math.round(mask[p] * scale);
+  }
+  return layer;
+}
+
+function shiftMask(mask, width, height, dx, dy) {
+  const out = Buffer.alloc(mask.length);
+  for (let y = 0; y < height; y++) {
+    const sy = y - dy;
+    if (sy < 0 || sy >= height) continue;
+    for (let x = 0; x < width; x++) {
+      const sx = x - dx;
+      if (sx < 0 || sx >= width) continue;
+      out[y * width + x] = mask[sy * width + sx];
+    }
+  }
+  return out;
+}
+
+function splitAlpha(rgba) {
+  const alpha = Buffer.alloc(rgba.length / 4);
+  for (let p = 0; p < alpha.length; p++) alpha[p] = rgba[p * 4 + 3];
+  return alpha;
+}
+
+function joinAlpha(rgba, alpha) {
+  for (let p = 0; p < alpha.length; p++) rgba[p * 4 + 3] = alpha[p];
+  return rgba;
+}
+
+export async function refineMatte(buffer, refine = {}) {
+  let { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  let { width, height } = info;
+  let alpha = splitAlpha(data);
+
+  if (refine.alphaThreshold > 0) {
+    for (let p = 0; p < alpha.length; p++) if (alpha[p] < refine.alphaThreshold) alpha[p] = 0;
+  }
+  if (refine.erode > 0) alpha = await morph(alpha, width, height, refine.erode, 'erode');
+  if (refine.dilate > 0) alpha = await morph(alpha, width, height, refine.dilate, 'dilate');
+  if (refine.feather > 0) alpha = await blurAlpha(alpha, width, height, refine.feather);
+  data = joinAlpha(data, alpha);
+
+  // Room around the subject: crop padding plus whatever the stroke and shadow spill into
+  const stroke = refine.stroke?.width > 0 ? { width: refine.stroke.width, color: parseColor(refine.stroke.color) || parseColor('#ffffff') } : null;
+  const shadow = refine.shadow ? {
+    blur: refine.shadow.blur ?? 8,
+    offsetX: refine.shadow.offsetX ?? 4,
+    offsetY: refine.shadow.offsetY ?? 4,
+    opacity: refine.shadow.opacity ?? 0.5,
+    color: parseColor(refine.shadow.color) || parseColor('#000000'),
+  } : null;
+
+  let image = sharp(data, { raw: { width, height, channels: 4 } });
+  if (refine.crop) {
+    const box = boundingBox(alpha, width, height);
+    if (box) {
+      image = sharp(await image.extract(box).raw().toBuffer(), { raw: { width: box.width, height: box.height, channels: 4 } });
+      width = box.width;
+      height = box.height;
+    }
+  }
+
+  const pad = refine.crop ? Math.max(0, refine.crop.padding || 0) : 0;
+  const strokeW = stroke ? stroke.width : 0;
+  const spill = shadow ? Math.ceil(shadow.blur) : 0;
+  const margin = {
+    left: pad + strokeW + (shadow ? Math.max(0, spill - shadow.offsetX) : 0),
+    right: pad + strokeW + (shadow ? Math.max(0, spill + shadow.offsetX) : 0),
+    top: pad + strokeW + (shadow ? Math.max(0, spill - shadow.offsetY) : 0),
+    bottom: pad + strokeW + (shadow ? Math.max(0, spill + shadow.offsetY) : 0),
+  };
+  if (margin.left || margin.right || margin.top || margin.bottom) {
+    image = image.extend({ ...margin, background: { r: 0, g: 0, b: 0, alpha: 0 } });
+  }
+  ({ data, info } = await image.raw().toBuffer({ resolveWithObject: true }));
+  width = info.width;
+  height = info.height;
+
+  if (!stroke && !shadow) {
+    return await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+  }
+
+  const layers = [];
+  let silhouette = splitAlpha(data);
+  if (stroke) {
+    const ring = await morph(silhouette, width, height, stroke.width, 'dilate');
+    layers.push({ input: colorLayer(ring, width, height, stroke.color), raw: { width, height, channels: 4 } });
+    silhouette = ring;
+  }
+  if (shadow) {
+    const shifted = shiftMask(silhouette, width, height, Math.round(shadow.offsetX), Math.round(shadow.offsetY));
+    const blurred = await blurAlpha(shifted, width, height, shadow.blur);
+    layers.unshift({ input: colorLayer(blurred, width, height, shadow.color, shadow.opacity), raw: { width, height, channels: 4 } });
+  }
+  layers.push({ input: data, raw: { width, height, channels: 4 } });
+
+  return await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,102 @@
+// Ephemeral job store (resets on server restart). Useful for local development
+// without MongoDB; mirrors the interface of mongo-store.js
+
+const jobs = new Map(); // jobId -> job record
+
+function clone(job) {
+  return job ? { ...job } : null;
+}
+
+async function insert(job) {
+  jobs.set(job.id, { ...job });
+}
+
+async function get(id) {
+  return clone(jobs.get(id));
+}
+
+async function update(id, patch) {
+  const job = jobs.get(id);
+  if (job) Object.assign(job, patch);
+}
+
+async function updateWhere(id, statuses, patch) {
+  const job = jobs.get(id);
+  if (!job || !statuses.includes(job.status)) return false;
+  Object.assign(job, patch);
+  return true;
+}
+
+// True when job a should be claimed before job b
+function runsBefore(a, b) {
+  const pa = a.priority || 0;
+  const pb = b.priority || 0;
+  return pa !== pb ? pa > pb : a.createdAt < b.createdAt;
+}
+
+async function claimNext({ excludeTypes = [] } = {}) {
+  let next = null;
+  const now = new Date();
+  for (const job of jobs.values()) {
+    if (job.status !== 'queued' || excludeTypes.includes(job.type)) continue;
+    if (job.runAfter && job.runAfter > now) continue;
+    if (!next || runsBefore(job, next)) next = job;
+  }
+  if (!next) return null;
+  Object.assign(next, { status: 'processing', heartbeatAt: now, startedAt: now, updatedAt: now, attempts: (next.attempts || 0) + 1 });
+  return clone(next);
+}
+
+async function countAhead(job) {
+  const counts = {};
+  const now = new Date();
+  for (const other of jobs.values()) {
+    if (other.status !== 'queued' || other.id === job.id || !runsBefore(other, job)) continue;
+    if (other.runAfter && other.runAfter > now) continue;
+    counts[other.type] = (counts[other.type] || 0) + 1;
+  }
+  return counts;
+}
+
+async function findStalled(staleBefore) {
+  return [...jobs.values()]
+    .filter(j => j.status === 'processing' && j.heartbeatAt && j.heartbeatAt < staleBefore)
+    .map(clone);
+}
+
+async function requeueIfStalled(id, staleBefore) {
+  const job = jobs.get(id);
+  if (!job || job.status !== 'processing' || !(job.heartbeatAt < staleBefore)) return false;
+  Object.assign(job, { status: 'queued', progress: 0, heartbeatAt: null, updatedAt: new Date(), stalls: (job.stalls || 0) + 1 });
+  return true;
+}
+
+async function findExisting(ids) {
+  return new Set(ids.filter(id => jobs.has(id)));
+}
+
+async function purgeExpired() {
+  const now = new Date();
+  let removed = 0;
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && job.expiresAt <= now) {
+      jobs.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+export default {
+  name: 'memory',
+  insert,
+  get,
+  update,
+  updateWhere,
+  claimNext,
+  countAhead,
+  findStalled,
+  requeueIfStalled,
+  findExisting,
+  purgeExpired,
+};
@@ -0,0 +1,106 @@
+import Job from '../../models/Job.js';
+
+// Durable job store backed by the `jobs` collection
+// Claiming is a single findOneAndUpdate, so several server instances can share the queue
+
+function toJob(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+async function insert(job) {
+  const { id, ...rest } = job;
+  await Job.create({ _id: id, ...rest });
+}
+
+async function get(id) {
+  return toJob(await Job.findById(id).lean());
+}
+
+async function update(id, patch) {
+  await Job.updateOne({ _id: id }, { $set: patch });
+}
+
+// Update only if the job is currently in one of the given statuses
+async function updateWhere(id, statuses, patch) {
+  const res = await Job.updateOne({ _id: id, status: { $in: statuses } }, { $set: patch });
+  return res.modifiedCount > 0;
+}
+
+// Atomically move the highest-priority (then oldest) queued job to processing
+// excludeTypes lists job types whose concurrency limit is already reached
+async function claimNext({ excludeTypes = [] } = {}) {
+  const now = new Date();
+  const filter = { status: 'queued', $or: [{ runAfter: null }, { runAfter: { $lte: now } }] };
+  if (excludeTypes.length > 0) filter.type = { $nin: excludeTypes };
+  const doc = await Job.findOneAndUpdate(
+    filter,
+    { $set: { status: 'processing', heartbeatAt: now, startedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+    { sort: { priority: -1, createdAt: 1 }, new: true }
+  ).lean();
+  return toJob(doc);
+}
+
+// Queued jobs that will be claimed before the given one, grouped by type
+// Jobs still waiting out a retry delay are not runnable yet, so they don't count
+async function countAhead(job) {
+  const rows = await Job.aggregate([
+    {
+      $match: {
+        status: 'queued',
+        _id: { $ne: job.id },
+        $and: [
+          { $or: [{ runAfter: null }, { runAfter: { $lte: new Date() } }] },
+          {
+            $or: [
+              { priority: { $gt: job.priority || 0 } },
+              { priority: job.priority || 0, createdAt: { $lt: job.createdAt } },
+            ],
+          },
+        ],
+      },
+    },
+    { $group: { _id: '$type', count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map(r => [r._id, r.count]));
+}
+
+// Jobs stuck in processing with a stale heartbeat belonged to a worker that died
+async function findStalled(staleBefore) {
+  const docs = await Job.find({ status: 'processing', heartbeatAt: { $lt: staleBefore } }).lean();
+  return docs.map(toJob);
+}
+
+// Conditional update so a job is only recovered once even with several instances
+async function requeueIfStalled(id, staleBefore) {
+  const res = await Job.updateOne(
+    { _id: id, status: 'processing', heartbeatAt: { $lt: staleBefore } },
+    { $set: { status: 'queued', progress: 0, heartbeatAt: null, updatedAt: new Date() }, $inc: { stalls: 1 } }
+  );
+  return res.modifiedCount > 0;
+}
+
+async function findExisting(ids) {
+  const docs = await Job.find({ _id: { $in: ids } }, { _id: 1 }).lean();
+  return new Set(docs.map(d => d._id));
+}
+
+// Expiry is handled by the TTL index on expiresAt
+async function purgeExpired() {
+  return 0;
+}
+
+export default {
+  name: 'mongo',
+  insert,
+  get,
+  update,
+  updateWhere,
+  claimNext,
+  countAhead,
+  findStalled,
+  requeueIfStalled,
+  findExisting,
+  purgeExpired,
+};
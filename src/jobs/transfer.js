@@ -0,0 +1,34 @@
+// Helpers for values crossing the worker_threads boundary (worker-pool.js <-> worker-thread.js).
+// Kept free of imports so worker threads don't load the pool, config or logger just to use them.
+
+// Structured clone turns Buffers into plain Uint8Arrays; restore them on receipt
+export function reviveBuffers(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Uint8Array) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  if (Array.isArray(value)) return value.map(reviveBuffers);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) out[key] = reviveBuffers(item);
+    return out;
+  }
+  return value;
+}
+
+// Errors lose their class and extra fields when cloned; send the message, name and
+// primitive own properties (code, status, ...) instead
+export function serializeError(err) {
+  const out = { message: err?.message || String(err), name: err?.name || 'Error' };
+  if (err && typeof err === 'object') {
+    for (const [key, value] of Object.entries(err)) {
+      if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) out[key] = value;
+    }
+  }
+  return out;
+}
+
+export function reviveError(data) {
+  if (!data || typeof data !== 'object') return new Error(data || 'Worker task failed');
+  const err = new Error(data.message || 'Worker task failed');
+  Object.assign(err, data);
+  return err;
+}
@@ -0,0 +1,172 @@
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { logger } from '../middleware/logger.js';
+import config from '../config/config.js';
+import { reviveBuffers, reviveError } from './transfer.js';
+
+// Bounded pool of worker threads for CPU-heavy processors (background removal, etc.)
+// Each worker runs one task at a time; a task that crashes its worker or exceeds its
+// timeout only takes down that worker, which is replaced on demand.
+
+const WORKER_SCRIPT = fileURLToPath(new URL('./worker-thread.js', import.meta.url));
+
+class WorkerPool {
+  constructor(size) {
+    this.size = Math.max(1, size);
+    this.idle = []; // workers waiting for a task
+    this.busy = new Map(); // worker -> task
+    this.pending = []; // tasks waiting for a worker
+    this.nextTaskId = 1;
+  }
+
+  // Run moduleUrl's exportName(payload, ctx) on a worker thread
+  // Aborting `signal` sets ctx.signal inside the worker; the processor stops cooperatively
+  run(moduleUrl, exportName, payload, { jobId = null, timeoutMs = 0, onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: this.nextTaskId++,
+        jobId,
+        moduleUrl: String(moduleUrl),
+        exportName,
+        payload,
+        timeoutMs,
+        onProgress,
+        resolve,
+        reject,
+      };
+      if (signal) {
+        signal.addEventListener('abort', () => this.cancel(task), { once: true });
+      }
+      this.pending.push(task);
+      this.dispatch();
+    });
+  }
+
+  cancel(task) {
+    const pendingIndex = this.pending.indexOf(task);
+    if (pendingIndex !== -1) {
+      this.pending.splice(pendingIndex, 1);
+      task.reject(new Error('Cancelled by client'));
+      return;
+    }
+    for (const [worker, running] of this.busy) {
+      if (running === task) worker.postMessage({ type: 'cancel', taskId: task.id });
+    }
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.idle.length + this.busy.size,
+      busy: this.busy.size,
+      pending: this.pending.length,
+    };
+  }
+
+  dispatch() {
+    while (this.pending.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.idle.length + this.busy.size >= this.size) return;
+        worker = this.spawn();
+      }
+      this.assign(worker, this.pending.shift());
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(WORKER_SCRIPT);
+
+    worker.on('message', (msg) => {
+      const task = this.busy.get(worker);
+      if (!task || msg?.taskId !== task.id) return;
+      if (msg.type === 'progress') {
+        try { task.onProgress?.(msg.value); } catch {}
+        return;
+      }
+      this.release(worker, task);
+      if (msg.type === 'result') task.resolve(reviveBuffers(msg.result));
+      else task.reject(reviveError(msg.error));
+    });
+
+    worker.on('error', (err) => {
+      this.discard(worker, err);
+    });
+
+    worker.on('exit', (code) => {
+      this.discard(worker, new Error(`Worker exited unexpectedly (code ${code})`));
+    });
+
+    return worker;
+  }
+
+  assign(worker, task) {
+    this.busy.set(worker, task);
+    if (task.timeoutMs > 0) {
+      task.timer = setTimeout(() => {
+        try { logger.warn('Worker task timed out, terminating worker', { exportName: task.exportName, timeoutMs: task.timeoutMs }); } catch {}
+        this.discard(worker, new Error(`Processing timed out after ${task.timeoutMs / 1000}s`));
+        worker.terminate().catch(() => {});
+      }, task.timeoutMs);
+    }
+    worker.postMessage({
+      type: 'run',
+      taskId: task.id,
+      jobId: task.jobId,
+      moduleUrl: task.moduleUrl,
+      exportName: task.exportName,
+      payload: task.payload,
+    });
+  }
+
+  release(worker, task) {
+    clearTimeout(task.timer);
+    this.busy.delete(worker);
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  // Forget a dead (or killed) worker and fail whatever it was running
+  discard(worker, err) {
+    const task = this.busy.get(worker);
+    this.busy.delete(worker);
+    this.idle = this.idle.filter(w => w !== worker);
+    if (task) {
+      clearTimeout(task.timer);
+      task.reject(err);
+    }
+    worker.removeAllListeners('exit');
+    this.dispatch();
+  }
+
+  async destroy() {
+    const workers = [...this.idle, ...this.busy.keys()];
+    this.idle = [];
+    for (const task of this.busy.values()) task.reject(new Error('Worker pool shut down'));
+    this.busy.clear();
+    for (const task of this.pending) task.reject(new Error('Worker pool shut down'));
+    this.pending = [];
+    await Promise.all(workers.map(w => { w.removeAllListeners('exit'); return w.terminate(); }));
+  }
+}
+
+const workerPool = new WorkerPool(config.jobs.workerThreads);
+
+// Wrap a processor module export as a job-queue processor that runs off the main thread.
+// Progress reported inside the worker is forwarded to the queue's ctx.reportProgress.
+export function threadedProcessor(moduleUrl, exportName, { timeoutMs = 0 } = {}) {
+  if (!config.jobs.useWorkerThreads) {
+    return async (payload, ctx) => {
+      const mod = await import(String(moduleUrl));
+      return mod[exportName](payload, ctx);
+    };
+  }
+  return (payload, ctx) => workerPool.run(moduleUrl, exportName, payload, {
+    jobId: ctx?.jobId,
+    timeoutMs,
+    signal: ctx?.signal,
+    onProgress: (value) => ctx?.reportProgress?.(value),
+  });
+}
+
+export default workerPool;
@@ -0,0 +1,35 @@
+import { parentPort } from 'worker_threads';
+import { reviveBuffers, serializeError } from './transfer.js';
+
+// Entry point for worker-pool.js threads: import the requested processor module
+// and run one task at a time, posting progress and the final result back
+
+const controllers = new Map(); // taskId -> AbortController
+
+parentPort.on('message', async ({ type, taskId, jobId, moduleUrl, exportName, payload }) => {
+  if (type === 'cancel') {
+    controllers.get(taskId)?.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(taskId, controller);
+  const ctx = {
+    jobId,
+    signal: controller.signal,
+    reportProgress: (value) => parentPort.postMessage({ taskId, type: 'progress', value }),
+  };
+
+  try {
+    const mod = await import(moduleUrl);
+    if (typeof mod[exportName] !== 'function') {
+      throw new Error(`Processor export not found: ${exportName}`);
+    }
+    const result = await mod[exportName](reviveBuffers(payload), ctx);
+    parentPort.postMessage({ taskId, type: 'result', result });
+  } catch (err) {
+    parentPort.postMessage({ taskId, type: 'error', error: serializeError(err) });
+  } finally {
+    controllers.delete(taskId);
+  }
+});
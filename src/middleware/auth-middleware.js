@@ -15,5 +15,20 @@ export const authRequired = (req, res, next) => {
   }
 };
 
+// Attach req.user when a valid token is present, but never reject the request
+export const authOptional = (req, res, next) => {
+  try {
+    const auth = req.headers.authorization || '';
+    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+    if (token) {
+      const decoded = jwt.verify(token, config.auth.jwtSecret);
+      req.user = { id: decoded.id, sub: decoded.id, ...decoded };
+    }
+  } catch (e) {
+    // Invalid or expired token: treat as anonymous
+  }
+  next();
+};
+
 // Alias for consistency with auth-api
 export const authMiddleware = authRequired;
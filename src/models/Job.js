@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Background job record for the durable job queue (see src/jobs/job-queue.js)
+// Buffers never live here: the payload holds file references into config.jobs.dir
+const JobSchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // uuid
+  type: { type: String, required: true, index: true },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true,
+  },
+  progress: { type: Number, default: 0 },
+  // Higher priority jobs are claimed first; ties run in creation order
+  priority: { type: Number, default: 0 },
+  payload: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Inline result, or { __file: 'result.json' } when it was too large for a document
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  // Incremented every time a worker claims the job (stall recovery re-claims it)
+  attempts: { type: Number, default: 0 },
+  // Times the job was found stalled and requeued; kept apart from attempts so failed runs don't count
+  stalls: { type: Number, default: 0 },
+  // Set by DELETE /status/:jobId while processing; the worker stops at its next check
+  cancelRequested: { type: Boolean, default: false },
+  // Automatic retries wait out their backoff: not claimable before this time
+  runAfter: { type: Date, default: null },
+  // Refreshed by the worker while processing; a stale heartbeat marks the job as stalled
+  heartbeatAt: { type: Date, default: null },
+  startedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  // Set once the job finishes; MongoDB's TTL monitor removes the document afterwards
+  expiresAt: { type: Date, default: null },
+}, { collection: 'jobs', minimize: false });
+
+JobSchema.index({ status: 1, priority: -1, createdAt: 1 });
+JobSchema.index({ status: 1, heartbeatAt: 1 });
+JobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Job || mongoose.model('Job', JobSchema);
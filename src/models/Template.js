@@ -1,10 +1,64 @@
 import mongoose from 'mongoose';
 import Counter from './Counter.js';
 
+// Frame for the user's photo: shape (circle, rounded rect, PNG mask), border ring and drop shadow
+// Sizes are in coordinate_reference units, like photo_container_axis
+const PhotoShapeSchema = new mongoose.Schema({
+  type: { type: String, enum: ['rect', 'rounded', 'circle', 'mask'], default: 'rect' },
+  radius: { type: Number, default: 0 },
+  mask_url: { type: String, default: null },
+  border_width: { type: Number, default: 0 },
+  border_color: { type: String, default: '#ffffff' },
+  shadow_color: { type: String, default: 'rgba(0,0,0,0.5)' },
+  shadow_blur: { type: Number, default: 0 },
+  shadow_offset_x: { type: Number, default: 0 },
+  shadow_offset_y: { type: Number, default: 0 },
+}, { _id: false });
+
+// Collage slots (see utils/template-slots.js); same units as photo_container_axis
+const PhotoSlotSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  x: { type: Number, default: 0 },
+  y: { type: Number, default: 0 },
+  width: { type: Number, default: 100 },
+  height: { type: Number, default: 100 },
+  shape: { type: PhotoShapeSchema, default: null },
+  z_index: { type: Number, default: 0 },
+  rotation: { type: Number, default: 0 }, // clockwise degrees
+}, { _id: false });
+
+const TextSlotSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  role: { type: String, enum: ['name', 'designation', 'phone', 'custom'], default: 'custom' },
+  x: { type: Number, default: 0 },
+  y: { type: Number, default: 0 },
+  width: { type: Number, default: 120 },
+  height: { type: Number, default: 50 },
+  z_index: { type: Number, default: 0 },
+  rotation: { type: Number, default: 0 },
+}, { _id: false });
+
+// Probed metadata of the stored video (width/height are the display size, after rotation)
+const MediaInfoSchema = new mongoose.Schema({
+  codec: { type: String, default: null },
+  width: { type: Number, default: null },
+  height: { type: Number, default: null },
+  fps: { type: Number, default: null },
+  rotation: { type: Number, default: 0 },
+  has_audio: { type: Boolean, default: false },
+  audio_codec: { type: String, default: null },
+}, { _id: false });
+
 const TemplateSchema = new mongoose.Schema({
   image_url: { type: String, required: true },
   // Optional video URL when the template is a video
   video_url: { type: String, default: null },
+  // Video templates: poster frame (JPEG), short looping preview (WebP/GIF) and length in seconds
+  poster_url: { type: String, default: null },
+  poster_time: { type: Number, default: null },
+  preview_url: { type: String, default: null },
+  duration: { type: Number, default: null },
+  media_info: { type: MediaInfoSchema, default: null },
   // Resource type for the template: 'image' or 'video' (default 'image' for backward compatibility)
   resource_type: { type: String, enum: ['image', 'video'], default: 'image', index: true },
 
@@ -21,6 +75,8 @@ const TemplateSchema = new mongoose.Schema({
     width: { type: Number, default: 100 },  // Photo is square, so width = height
     height: { type: Number, default: 100 },
   },
+  // Optional frame for the photo (null = plain rectangle)
+  photo_shape: { type: PhotoShapeSchema, default: null },
   // Axis for the text container (x, y positions and size)
   // Size constraints match app: min 80x40, max 80%x60% of container, default 120x50
   text_container_axis: {
@@ -29,6 +85,9 @@ const TemplateSchema = new mongoose.Schema({
     width: { type: Number, default: 120 },
     height: { type: Number, default: 50 },
   },
+  // Multi-photo / multi-text layouts; empty = the single axis fields above are the only slots
+  photo_slots: { type: [PhotoSlotSchema], default: [] },
+  text_slots: { type: [TextSlotSchema], default: [] },
   // Reference canvas dimensions used when setting coordinates
   // The app will scale coordinates from this reference to its actual container size
   // Default: 270x480 (9:16 aspect ratio) - matches website editor
@@ -2,19 +2,24 @@ import express from 'express';
 import { logger } from '../middleware/logger.js';
 import { upload } from '../middleware/upload.js';
 import { uploadRateLimiter } from '../middleware/rate-limit.js';
-import { processImage, processBatch, getJobStatus } from '../controllers/image-controller.js';
+import { authOptional } from '../middleware/auth-middleware.js';
+import { processImage, processBatch, getJobStatus, cancelJob, retryJob, streamJobEvents } from '../controllers/image-controller.js';
+import { describeEngines } from '../jobs/processors/background-removers/index.js';
 import cleanupService from '../utils/cleanup-service.js';
+import { getCacheStats } from '../utils/result-cache.js';
 
 const router = express.Router();
 
 // Health check endpoint for connectivity testing (lightweight)
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
   const clientIp = req.headers['x-forwarded-for'] || req.ip;
   const userAgent = req.get('User-Agent');
   logger.info('Mobile device health check', { ip: clientIp, userAgent });
+  const backgroundRemoval = await describeEngines();
   res.status(200).json({ 
     status: 'ok', 
     message: 'Background removal server is running',
+    backgroundRemoval,
     timestamp: new Date().toISOString()
   });
 });
@@ -44,33 +49,47 @@ router.get('/', (req, res) => {
       process: 'POST /process',
       batch: 'POST /process-batch',
       status: 'GET /status/:jobId',
+      events: 'GET /status/:jobId/events',
+      batchEvents: 'GET /status/events?ids=a,b,c',
+      cancel: 'DELETE /status/:jobId',
+      retry: 'POST /status/:jobId/retry',
       templates: 'GET /api/templates'
     },
     timestamp: new Date().toISOString()
   });
 });
 
-// Enqueue single image processing
-router.post('/process', uploadRateLimiter, upload.single('image'), processImage);
+// Enqueue single image processing (a Bearer token is optional; subscribers get priority)
+// An optional `background` file replaces the removed background (see readBackground in the controller)
+router.post('/process', uploadRateLimiter, authOptional, upload.fields([{ name: 'image', maxCount: 1 }, { name: 'background', maxCount: 1 }]), processImage);
 
 // Enqueue batch processing (returns jobId immediately)
-router.post('/process-batch', uploadRateLimiter, upload.array('images', 10), (req, res, next) => {
+router.post('/process-batch', uploadRateLimiter, authOptional, upload.array('images', 10), (req, res, next) => {
   const clientIp = req.headers['x-forwarded-for'] || req.ip;
   const userAgent = req.get('User-Agent');
   logger.info('Mobile device connected: enqueuing batch', { ip: clientIp, userAgent, files: (req.files || []).length });
   next();
 }, processBatch);
 
+// Server-Sent Events stream of job progress (declared before /status/:jobId)
+router.get('/status/events', streamJobEvents);
+router.get('/status/:jobId/events', streamJobEvents);
+
 // Job status endpoint for polling
 router.get('/status/:jobId', getJobStatus);
 
+// Cancel a queued/processing job, or re-run a failed one from its stored input
+router.delete('/status/:jobId', cancelJob);
+router.post('/status/:jobId/retry', retryJob);
+
 // Cleanup service stats endpoint
 router.get('/cleanup-stats', async (req, res) => {
   try {
     const stats = await cleanupService.getStats();
     res.json({
       success: true,
-      data: stats
+      data: stats,
+      resultCache: await getCacheStats()
     });
   } catch (error) {
     res.status(500).json({
@@ -63,6 +63,9 @@ router.get('/latest/:category', TemplateController.getLatestTemplate);
 // GET /api/templates/by-serial/:category/:serial - Get a template by category and serial number
 router.get('/by-serial/:category/:serial', TemplateController.getBySerial);
 
+// POST /api/templates/:id/render - render an image template with overlays (PNG/JPEG/WebP)
+router.post('/:id/render', TemplateController.renderTemplate);
+
 // DELETE /api/templates/:id - delete template
 router.delete('/:id', TemplateController.deleteTemplate);
 
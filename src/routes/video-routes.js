@@ -2,6 +2,9 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import videoController from '../controllers/video-controller.js';
+import { listFonts } from '../utils/font-registry.js';
+import { listTracks } from '../utils/music-catalogue.js';
+import { listOutputPresets } from '../utils/output-presets.js';
 
 const router = express.Router();
 
@@ -30,17 +33,50 @@ const upload = multer({
   },
 });
 
+// Background music uploads (disk storage, sent on to Cloudinary)
+const allowedAudio = /mp3|mpeg|m4a|mp4|aac|wav|x-wav|ogg|opus|webm/;
+const audioUpload = multer({
+  storage,
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB
+  },
+  fileFilter: (req, file, cb) => {
+    const extOk = allowedAudio.test(path.extname(file.originalname).toLowerCase());
+    const mimeOk = /^audio\//.test(file.mimetype) && allowedAudio.test(file.mimetype.split('/')[1]);
+    if (extOk && mimeOk) return cb(null, true);
+    cb(new Error('Only audio files are allowed (mp3, m4a, aac, wav, ogg, opus)'));
+  },
+});
+
 // Health for videos API
 router.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', service: 'videos', timestamp: new Date().toISOString() });
 });
 
+// GET /api/videos/fonts - families available for text overlays (fontFamily/fontWeight/fontStyle)
+router.get('/fonts', (req, res) => {
+  res.status(200).json({ success: true, ...listFonts() });
+});
+
 // POST /api/videos/upload - field name: "video"
 router.post('/upload', upload.single('video'), (req, res, next) => videoController.upload(req, res, next));
 
 // POST /api/videos/upload-photo - upload photo overlay (no multer, uses base64)
 router.post('/upload-photo', (req, res, next) => videoController.uploadPhoto(req, res, next));
 
+// POST /api/videos/upload-audio - upload background music for a composite, field name: "audio"
+router.post('/upload-audio', audioUpload.single('audio'), (req, res, next) => videoController.uploadAudio(req, res, next));
+
+// GET /api/videos/music - background music catalogue (optional ?category=)
+router.get('/music', (req, res) => {
+  res.status(200).json({ success: true, tracks: listTracks({ category: req.query.category }) });
+});
+
+// GET /api/videos/presets - output formats accepted by composite (`preset`)
+router.get('/presets', (req, res) => {
+  res.status(200).json({ success: true, presets: listOutputPresets() });
+});
+
 // POST /api/videos/composite - composite video with overlays
 router.post('/composite', (req, res, next) => videoController.composite(req, res, next));
 
@@ -33,7 +33,9 @@ class NotificationService {
           title: `New ${randomVideo.subcategory || 'Template'} Video!`,
           message: `Check out this amazing ${randomVideo.main_category || ''} video template`,
           videoUrl: randomVideo.video_url,
-          imageUrl: randomVideo.image_url,
+          // Older video templates stored the video URL as image_url; only a poster is a real image
+          imageUrl: randomVideo.poster_url || (randomVideo.image_url !== randomVideo.video_url ? randomVideo.image_url : null),
+          previewUrl: randomVideo.preview_url || null,
           subcategory: randomVideo.subcategory,
           mainCategory: randomVideo.main_category,
           timestamp: new Date().toISOString(),
@@ -0,0 +1,276 @@
+import sharp from 'sharp';
+import { parseColor } from '../utils/color.js';
+import { normalizeStyle, normalizeWeight, resolveFont } from '../utils/font-registry.js';
+import { layoutText, roundedRectSvg, textStyle } from '../utils/text-layout.js';
+import { framePhoto, photoFrameOptions, templateShapeFields } from '../utils/photo-frame.js';
+import { findSlot, templatePhotoSlots, templateTextSlots } from '../utils/template-slots.js';
+import { MAX_INPUT_PIXELS, checkImageLimits, fetchImage } from '../utils/image-limits.js';
+
+// Server-side flattening of image templates (POST /api/templates/:id/render)
+// Takes the same overlay shape as /api/videos/composite:
+//   { photos: [{ uri, x, y, width, height, shape, borderRadius, maskUri, borderWidth, borderColor, shadowColor, shadowBlur,
+//     shadowOffsetX, shadowOffsetY }], texts: [{ text, x, y, width, height, fontSize, fontFamily, fontWeight, fontStyle, color, backgroundColor,
+//     textAlign, verticalAlign, wrap, lineHeight, padding, strokeColor, strokeWidth, shadowColor, shadowOffsetX, shadowOffsetY,
+//     opacity, borderRadius }], banner: { uri, x, y, width, height } }
+// Coordinates are in `dimensions` space (the app's container) or, by default, the template's
+// coordinate_reference. Photos/texts without coordinates fall back to the template's
+// photo_container_axis / text_container_axis, and frame fields a photo doesn't set come from the template's photo_shape.
+// Collage templates (photo_slots / text_slots) supply those defaults per slot instead: an overlay picks its slot
+// with `slot` (a slot name, or a text role such as 'phone'), otherwise by its position in the list. Slots also
+// give rotation and z-order; overlays can override them with `rotation` (clockwise degrees) and `zIndex`.
+// Layers are drawn photos -> banner -> texts, ordered by z-index within photos and within texts.
+
+const MIN_OUTPUT = 16;
+const MAX_OUTPUT = 4096;
+const DEFAULT_OUTPUT_WIDTH = 1080;
+
+export const RENDER_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+class TemplateRenderer {
+  /**
+   * Load an image from an http(s) URL or a data: URL, rejecting oversized files and dimensions
+   */
+  async loadImage(uri) {
+    const source = String(uri || '');
+    const dataUrl = /^data:[^;,]+;base64,(.*)$/s.exec(source);
+    let buffer;
+    if (dataUrl) {
+      buffer = Buffer.from(dataUrl[1], 'base64');
+    } else {
+      if (!/^https?:\/\//i.test(source)) throw new Error(`Unsupported image uri: ${source.slice(0, 40)}`);
+      buffer = await fetchImage(source);
+    }
+    // Size and pixel caps (413); decode() still limits anything that slips past the header check
+    return checkImageLimits(buffer);
+  }
+
+  decode(buffer) {
+    return sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+  }
+
+  /**
+   * Output size: explicit width/height, or one side derived from the reference aspect ratio
+   */
+  outputSize(reference, { width, height } = {}) {
+    const aspect = reference.height / reference.width;
+    let w = Number(width) || 0;
+    let h = Number(height) || 0;
+    if (!w && !h) w = DEFAULT_OUTPUT_WIDTH;
+    if (!w) w = Math.round(h / aspect);
+    if (!h) h = Math.round(w * aspect);
+    const clamp = (v) => Math.max(MIN_OUTPUT, Math.min(MAX_OUTPUT, Math.round(v)));
+    return { width: clamp(w), height: clamp(h) };
+  }
+
+  /**
+   * Scale an overlay box from coordinate space to output pixels
+   */
+  scaleBox(box, fallback, scaleX, scaleY) {
+    const pick = (key) => (box?.[key] !== undefined && box?.[key] !== null ? Number(box[key]) : Number(fallback?.[key]) || 0);
+    return {
+      left: Math.round(pick('x') * scaleX),
+      top: Math.round(pick('y') * scaleY),
+      width: Math.max(1, Math.round(pick('width') * scaleX)),
+      height: Math.max(1, Math.round(pick('height') * scaleY)),
+    };
+  }
+
+  /**
+   * Z-order and rotation for an overlay, from the overlay itself or its slot
+   */
+  placement(overlay, slot, order) {
+    const pick = (value, fallback) => (value !== undefined && value !== null && Number.isFinite(Number(value)) ? Number(value) : fallback);
+    return {
+      zIndex: pick(overlay?.zIndex, pick(slot?.z_index, 0)),
+      rotation: pick(overlay?.rotation, pick(slot?.rotation, 0)) % 360,
+      order,
+    };
+  }
+
+  byZIndex(a, b) {
+    return a.zIndex - b.zIndex || a.order - b.order;
+  }
+
+  /**
+   * Resize an image into a box, rotate it about the box centre and clip it to the canvas
+   * (sharp rejects layers that overflow)
+   */
+  async layer(buffer, box, canvas, fit, rotation = 0) {
+    let resized = await this.decode(buffer).rotate().resize(box.width, box.height, { fit }).png().toBuffer();
+    if (rotation) {
+      const turned = await sharp(resized)
+        .rotate(rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+      resized = turned.data;
+      box = {
+        left: box.left + Math.round((box.width - turned.info.width) / 2),
+        top: box.top + Math.round((box.height - turned.info.height) / 2),
+        width: turned.info.width,
+        height: turned.info.height,
+      };
+    }
+    const left = Math.max(0, box.left);
+    const top = Math.max(0, box.top);
+    const right = Math.min(canvas.width, box.left + box.width);
+    const bottom = Math.min(canvas.height, box.top + box.height);
+    if (right <= left || bottom <= top) return null;
+
+    const visible = { left: left - box.left, top: top - box.top, width: right - left, height: bottom - top };
+    const input = visible.width === box.width && visible.height === box.height
+      ? resized
+      : await sharp(resized).extract(visible).toBuffer();
+    return { input, left, top };
+  }
+
+  escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  svgColor(value, fallback) {
+    const c = parseColor(value) || parseColor(fallback);
+    return { fill: `rgb(${c.r},${c.g},${c.b})`, opacity: c.alpha };
+  }
+
+  /**
+   * One SVG layer with every text overlay (background box + text lines), styled like the
+   * drawtext output of video composites (see utils/text-layout.js for the styling fields)
+   */
+  textLayer(texts, fallback, canvas, scaleX, scaleY, slots = []) {
+    const anchors = { left: 'start', center: 'middle', right: 'end' };
+    const placed = texts.map((text, i) => {
+      if (text?.text === undefined || text?.text === null || text.text === '') return null;
+      const slot = findSlot(slots, text, i);
+      const style = textStyle(text);
+      const box = this.scaleBox(text, slot || fallback, scaleX, scaleY);
+      const { zIndex, rotation, order } = this.placement(text, slot, i);
+      const fontSize = Math.max(1, Math.round((Number(text.fontSize) || 16) * scaleY));
+      // Same family/weight/style resolution as video composites; sans-serif covers fonts librsvg can't find
+      const font = resolveFont({ fontFamily: text.fontFamily, fontWeight: text.fontWeight, fontStyle: text.fontStyle, text: text.text });
+      const family = font ? `${this.escapeXml(font.family)}, sans-serif` : 'sans-serif';
+      const color = this.svgColor(style.color, '#ffffff');
+      const layout = this.layoutLines(text.text, style, box, fontSize, scaleY);
+      const strokeWidth = style.strokeWidth === null ? Math.max(1, Math.round(2 * scaleY)) : Math.round(style.strokeWidth * scaleY);
+
+      const turn = rotation
+        ? ` transform="rotate(${rotation} ${box.left + box.width / 2} ${box.top + box.height / 2})"`
+        : '';
+      let svg = `<g opacity="${style.opacity}"${turn}>`;
+      if (style.backgroundColor) {
+        svg += roundedRectSvg(box, Math.round(style.borderRadius * scaleY), style.backgroundColor);
+      }
+      const attrs = `font-family="${family}" font-size="${fontSize}"` +
+        ` font-weight="${font?.weight || normalizeWeight(text.fontWeight)}" font-style="${font?.style || normalizeStyle(text.fontStyle)}"` +
+        ` text-anchor="${anchors[style.align]}"`;
+      for (const line of layout.lines) {
+        // Baseline sits ~0.8em below the line top, which lines up with drawtext's y
+        const y = line.top + Math.round(fontSize * 0.8);
+        const content = this.escapeXml(line.text);
+        if (style.shadow) {
+          const shadow = this.svgColor(style.shadow.color, 'rgba(0,0,0,0.6)');
+          svg += `<text x="${line.x + Math.round(style.shadow.offsetX * scaleX)}" y="${y + Math.round(style.shadow.offsetY * scaleY)}" ${attrs}` +
+            ` fill="${shadow.fill}" fill-opacity="${shadow.opacity}">${content}</text>`;
+        }
+        let stroke = '';
+        if (strokeWidth > 0) {
+          const strokeColor = this.svgColor(style.strokeColor, 'black');
+          stroke = ` stroke="${strokeColor.fill}" stroke-opacity="${strokeColor.opacity}" stroke-width="${strokeWidth}" stroke-linejoin="round" paint-order="stroke"`;
+        }
+        svg += `<text x="${line.x}" y="${y}" ${attrs} fill="${color.fill}" fill-opacity="${color.opacity}"${stroke}>${content}</text>`;
+      }
+      return { svg: `${svg}</g>`, zIndex, order };
+    }).filter(Boolean);
+    const parts = placed.sort((a, b) => this.byZIndex(a, b)).map((part) => part.svg).join('');
+
+    if (!parts) return null;
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${canvas.width}" height="${canvas.height}">${parts}</svg>`);
+  }
+
+  /**
+   * Line positions for one overlay; x is the anchor point for the line's text-anchor
+   */
+  layoutLines(content, style, box, fontSize, scale) {
+    const { lines, inner } = layoutText(content, style, box, fontSize, scale);
+    const x = style.align === 'center'
+      ? inner.left + Math.round(inner.width / 2)
+      : style.align === 'right' ? inner.left + inner.width : inner.left;
+    return { lines: lines.filter((line) => line.text.trim()).map((line) => ({ ...line, x })) };
+  }
+
+  /**
+   * Render a template with overlays. Returns { buffer, contentType, width, height, format }
+   */
+  async render(template, overlays = {}, { dimensions, width, height, format = 'png', quality } = {}) {
+    const reference = {
+      width: Number(dimensions?.width) || template.coordinate_reference?.width || 270,
+      height: Number(dimensions?.height) || template.coordinate_reference?.height || 480,
+    };
+    const canvas = this.outputSize(reference, { width, height });
+    const scaleX = canvas.width / reference.width;
+    const scaleY = canvas.height / reference.height;
+
+    const base = await this.decode(await this.loadImage(template.image_url))
+      .rotate()
+      .resize(canvas.width, canvas.height, { fit: 'cover' })
+      .toBuffer();
+
+    const layers = [];
+    const photoSlots = templatePhotoSlots(template);
+    const photos = (Array.isArray(overlays.photos) ? overlays.photos : [])
+      .map((photo, i) => {
+        const slot = findSlot(photoSlots, photo, i);
+        return { photo, slot, ...this.placement(photo, slot, i) };
+      })
+      .filter(({ photo }) => photo?.uri)
+      .sort((a, b) => this.byZIndex(a, b));
+    for (const { photo, slot, rotation } of photos) {
+      const box = this.scaleBox(photo, slot || template.photo_container_axis, scaleX, scaleY);
+      // A slot's own shape (or none) replaces the template-wide photo_shape
+      const framing = photoFrameOptions({ ...templateShapeFields(slot ? slot.shape : template.photo_shape), ...photo }, scaleY);
+      let placed;
+      if (framing) {
+        const mask = framing.maskUri ? await this.loadImage(framing.maskUri) : null;
+        const framed = await framePhoto(await this.loadImage(photo.uri), box, framing, mask);
+        const framedBox = { left: box.left - framed.margin, top: box.top - framed.margin, width: framed.width, height: framed.height };
+        placed = await this.layer(framed.buffer, framedBox, canvas, 'fill', rotation);
+      } else {
+        placed = await this.layer(await this.loadImage(photo.uri), box, canvas, 'cover', rotation);
+      }
+      if (placed) layers.push(placed);
+    }
+    if (overlays.banner?.uri) {
+      const box = this.scaleBox(overlays.banner, null, scaleX, scaleY);
+      const placed = await this.layer(await this.loadImage(overlays.banner.uri), box, canvas, 'fill');
+      if (placed) layers.push(placed);
+    }
+    const texts = this.textLayer(Array.isArray(overlays.texts) ? overlays.texts : [], template.text_container_axis, canvas, scaleX, scaleY, templateTextSlots(template));
+    if (texts) layers.push({ input: texts, left: 0, top: 0 });
+
+    const outputFormat = format === 'jpg' ? 'jpeg' : format;
+    const q = Math.max(1, Math.min(100, Number(quality) || 90));
+    let image = sharp(base).composite(layers);
+    if (outputFormat === 'jpeg') image = image.flatten({ background: '#ffffff' }).jpeg({ quality: q });
+    else if (outputFormat === 'webp') image = image.webp({ quality: q });
+    else image = image.png();
+
+    return {
+      buffer: await image.toBuffer(),
+      contentType: RENDER_FORMATS[outputFormat],
+      format: outputFormat,
+      width: canvas.width,
+      height: canvas.height,
+    };
+  }
+}
+
+export default new TemplateRenderer();
@@ -0,0 +1,102 @@
+import { getTrack } from './music-catalogue.js';
+
+// Background music for video composites (overlays.audio):
+//   { uri | trackId, volume: 1, fadeIn: 0, fadeOut: 0, offset: 0, start: 0, loop: true, mode: 'mix' | 'replace', originalVolume: 1 }
+// offset skips into the track, start delays it in the video; the track is looped (or trimmed)
+// to the end of the video. 'mix' keeps the template's own audio (at originalVolume) under the music.
+
+export const AUDIO_MODES = ['mix', 'replace'];
+const MAX_VOLUME = 4;
+
+function number(value, fallback, { min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) return NaN;
+  return n;
+}
+
+function round(n) {
+  return Number(n.toFixed(3));
+}
+
+/**
+ * Validate overlays.audio. Returns { options } (null options when no audio was requested) or { error }.
+ */
+export function readAudioOptions(audio) {
+  if (audio === undefined || audio === null || audio === false) return { options: null };
+  if (typeof audio !== 'object') return { error: 'overlays.audio must be an object' };
+
+  const uri = audio.uri ? String(audio.uri) : null;
+  const trackId = audio.trackId !== undefined && audio.trackId !== null && audio.trackId !== '' ? String(audio.trackId) : null;
+  if (!uri && !trackId) return { error: 'overlays.audio needs a uri or a trackId' };
+  if (uri && trackId) return { error: 'overlays.audio takes either a uri or a trackId, not both' };
+  if (uri && !/^https?:\/\//i.test(uri)) return { error: 'overlays.audio.uri must be an http(s) URL' };
+  if (trackId && !getTrack(trackId)) return { error: `Unknown music track "${trackId}"` };
+
+  const mode = String(audio.mode || 'mix').toLowerCase();
+  if (!AUDIO_MODES.includes(mode)) return { error: `overlays.audio.mode must be one of: ${AUDIO_MODES.join(', ')}` };
+
+  const options = {
+    uri,
+    trackId,
+    mode,
+    volume: number(audio.volume, 1, { max: MAX_VOLUME }),
+    originalVolume: number(audio.originalVolume, 1, { max: MAX_VOLUME }),
+    fadeIn: number(audio.fadeIn, 0),
+    fadeOut: number(audio.fadeOut, 0),
+    offset: number(audio.offset, 0),
+    start: number(audio.start, 0),
+    loop: audio.loop === undefined ? true : audio.loop === true || audio.loop === 'true',
+  };
+  for (const key of ['volume', 'originalVolume', 'fadeIn', 'fadeOut', 'offset', 'start']) {
+    if (Number.isNaN(options[key])) {
+      const max = key.endsWith('olume') ? ` and at most ${MAX_VOLUME}` : '';
+      return { error: `overlays.audio.${key} must be a number of at least 0${max}` };
+    }
+  }
+  return { options };
+}
+
+/**
+ * FFmpeg input arguments for the music file (loop + seek are input options)
+ */
+export function audioInputArgs(options, filePath) {
+  return [
+    ...(options.loop ? ['-stream_loop', '-1'] : []),
+    ...(options.offset > 0 ? ['-ss', String(options.offset)] : []),
+    '-i', filePath,
+  ];
+}
+
+/**
+ * filter_complex segments producing [aout] from the music input (and the template audio when mixing).
+ * clipDuration / trackDuration may be 0 when unknown; without a clip length the caller adds -shortest.
+ */
+export function audioFilters(options, { inputIndex, clipDuration = 0, trackDuration = 0, hasOriginalAudio = false }) {
+  // How long the music plays: from `start` to the end of the video, or until a non-looped track runs out
+  let length = clipDuration > 0 ? Math.max(0, clipDuration - options.start) : null;
+  if (!options.loop && trackDuration > 0) {
+    const playable = Math.max(0, trackDuration - options.offset);
+    length = length === null ? playable : Math.min(length, playable);
+  }
+
+  const chain = [];
+  if (length !== null) chain.push(`atrim=duration=${round(length)}`);
+  chain.push('asetpts=PTS-STARTPTS', `volume=${options.volume}`);
+  if (options.fadeIn > 0) chain.push(`afade=t=in:st=0:d=${options.fadeIn}`);
+  if (options.fadeOut > 0 && length !== null) {
+    const fadeOut = Math.min(options.fadeOut, length);
+    chain.push(`afade=t=out:st=${round(length - fadeOut)}:d=${fadeOut}`);
+  }
+  if (options.start > 0) chain.push(`adelay=${Math.round(options.start * 1000)}:all=1`);
+
+  if (options.mode === 'mix' && hasOriginalAudio) {
+    // amix scales each input by 1/n; volume=2 restores the levels set above
+    return [
+      `[${inputIndex}:a]${chain.join(',')}[music]`,
+      `[0:a]volume=${options.originalVolume}[original]`,
+      '[original][music]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]',
+    ];
+  }
+  return [`[${inputIndex}:a]${chain.join(',')}[aout]`];
+}
@@ -1,6 +1,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import config from '../config/config.js';
+import { getDownloadCacheStats, pruneDownloadCache } from './download-cache.js';
+import { sweepTempAudio } from './temp-audio.js';
 
 class CleanupService {
     constructor() {
@@ -30,6 +32,7 @@ class CleanupService {
         console.log(`📁 Monitoring directory: ${this.uploadsDir}`);
         console.log(`⏰ Max file age: ${this.maxFileAge / 1000 / 60} minutes`);
         console.log(`🔄 Cleanup interval: ${this.cleanupInterval / 1000 / 60} minutes`);
+        console.log(`💾 Download cache: ${config.downloadCache.dir} (max ${Math.round(config.downloadCache.maxBytes / 1024 / 1024)}MB)`);
 
         // Run initial cleanup
         this.performCleanup();
@@ -58,6 +61,26 @@ class CleanupService {
     async performCleanup() {
         try {
             console.log('🧹 Starting cleanup cycle...');
+
+            // Download cache has its own TTL/LRU limits (entries in use are kept)
+            const prunedEntries = await pruneDownloadCache().catch((error) => {
+                console.warn('⚠️ Download cache prune failed:', error.message);
+                return 0;
+            });
+            if (prunedEntries > 0) {
+                console.log(`🗑️ Pruned ${prunedEntries} download cache entr${prunedEntries === 1 ? 'y' : 'ies'}`);
+            }
+
+            // Music users uploaded for composites lives on Cloudinary until its TTL runs out
+            if (config.cloudinary.apiKey) {
+                const removedAudio = await sweepTempAudio().catch((error) => {
+                    console.warn('⚠️ Uploaded music sweep failed:', error.message);
+                    return 0;
+                });
+                if (removedAudio > 0) {
+                    console.log(`🗑️ Removed ${removedAudio} expired uploaded music file(s) from Cloudinary`);
+                }
+            }
             
             // Ensure uploads directory exists
             await this.ensureUploadsDirectory();
@@ -196,7 +219,8 @@ class CleanupService {
                 totalSizeMB: Math.round(totalSize / 1024 / 1024),
                 maxFileAge: this.maxFileAge,
                 cleanupInterval: this.cleanupInterval,
-                isRunning: this.isRunning
+                isRunning: this.isRunning,
+                downloadCache: await getDownloadCacheStats()
             };
         } catch (error) {
             console.error('❌ Error getting cleanup stats:', error);
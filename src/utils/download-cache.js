@@ -0,0 +1,305 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import config from '../config/config.js';
+
+// Disk cache of shared media used by video composites and uploads (config.downloadCache):
+// template videos, banners, masks and catalogue music. Per-user files (photos, uploaded music)
+// are not cached; they go through downloadFile into the job's temp files.
+// Key: sha256 of the source (a URL, or `upload:<content hash>`) plus a variant name, so derived files
+// (probe results, processed template uploads) live next to the download they came from.
+// Each entry is <key><ext> (the file) and <key>.meta (JSON: source, variant, ext, size, info, createdAt).
+// Eviction works like result-cache: entries older than ttlMinutes, then least recently used beyond
+// maxEntries/maxBytes. Entries leased by a running job are never evicted, and concurrent requests
+// for the same entry share one download (or one `produce` run).
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 120 * 1000;
+let lastPruneAt = 0;
+
+const inFlight = new Map(); // key -> Promise<meta>
+const leases = new Map(); // key -> number of holders
+const stats = { hits: 0, misses: 0, shared: 0 };
+
+function ttlMs() {
+  return config.downloadCache.ttlMinutes * 60 * 1000;
+}
+
+function entryKey(source, variant) {
+  return crypto.createHash('sha256').update(`${variant}\n${source}`).digest('hex');
+}
+
+function entryPaths(key, ext = '') {
+  const safe = String(key).replace(/[^a-f0-9]/g, '');
+  const safeExt = /^\.[a-z0-9.]{1,10}$/i.test(ext) ? ext : '';
+  return {
+    file: path.join(config.downloadCache.dir, `${safe}${safeExt}`),
+    meta: path.join(config.downloadCache.dir, `${safe}.meta`),
+  };
+}
+
+// File extension for a URL (".mp4", ".png"...), or the fallback
+export function urlExtension(url, fallback = '') {
+  try {
+    const ext = path.extname(new URL(url).pathname).toLowerCase();
+    return /^\.[a-z0-9]{1,5}$/.test(ext) ? ext : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * sha256 of a file's contents (streams, so large uploads aren't read into memory)
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+function tooLarge(maxBytes) {
+  const err = new Error(`Download is larger than ${Math.round(maxBytes / (1024 * 1024))}MB`);
+  err.status = 413;
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * Plain (uncached) download of a URL to a file. Bodies over config.downloadCache.maxFileBytes are
+ * aborted with a 413 and the partial file is removed.
+ */
+export async function downloadFile(url, outPath, { signal } = {}) {
+  const maxBytes = config.downloadCache.maxFileBytes;
+  const response = await axios({ url, method: 'GET', responseType: 'stream', timeout: DOWNLOAD_TIMEOUT_MS, signal });
+  if (Number(response.headers?.['content-length']) > maxBytes) {
+    response.data.destroy();
+    throw tooLarge(maxBytes);
+  }
+  // Content-Length can be missing or wrong, so the bytes are counted as they arrive too
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > maxBytes ? tooLarge(maxBytes) : null, chunk);
+    },
+  });
+  try {
+    await pipeline(response.data, limit, createWriteStream(outPath));
+  } catch (err) {
+    await fs.unlink(outPath).catch(() => {});
+    throw err;
+  }
+}
+
+async function readMeta(key) {
+  try {
+    return JSON.parse(await fs.readFile(entryPaths(key).meta, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function removeEntry(key, ext) {
+  const { file, meta } = entryPaths(key, ext ?? (await readMeta(key))?.ext);
+  await fs.unlink(meta).catch(() => {});
+  await fs.unlink(file).catch(() => {});
+}
+
+// Run produce(tmpPath) (default: download the source URL) and publish the result as an entry
+async function fill(key, source, variant, ext, produce) {
+  await fs.mkdir(config.downloadCache.dir, { recursive: true });
+  const { file, meta } = entryPaths(key, ext);
+  // Temp names + rename so readers never see a half-written entry
+  const suffix = `.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    const info = produce ? await produce(file + suffix) : await downloadFile(source, file + suffix);
+    const { size } = await fs.stat(file + suffix);
+    await fs.rename(file + suffix, file);
+    const entry = { source: source.slice(0, 500), variant, ext, size, info: info ?? null, createdAt: new Date() };
+    await fs.writeFile(meta + suffix, JSON.stringify(entry));
+    await fs.rename(meta + suffix, meta);
+    return entry;
+  } catch (err) {
+    await fs.unlink(file + suffix).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Lease a cached file, downloading (or producing) it on a miss.
+ * - source: URL to download, or any stable id when `produce` is given
+ * - variant: name of the derived file ('source' = the download itself)
+ * - produce(tmpPath): writes the file and may return JSON-able `info` kept with the entry
+ * Resolves { path, info, hit, release }; call release() once the file is no longer read.
+ */
+export async function acquire(source, { variant = 'source', ext = '', produce = null } = {}) {
+  const key = entryKey(source, variant);
+  leases.set(key, (leases.get(key) || 0) + 1);
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    const left = (leases.get(key) || 1) - 1;
+    if (left > 0) {
+      leases.set(key, left);
+      return;
+    }
+    leases.delete(key);
+    // Disabled cache: entries only live while leased
+    if (!config.downloadCache.enabled) removeEntry(key).catch(() => {});
+  };
+
+  try {
+    let lookup = inFlight.get(key);
+    if (lookup) {
+      stats.shared++;
+      const { entry } = await lookup;
+      return { path: entryPaths(key, entry.ext).file, info: entry.info, hit: false, release };
+    }
+    // Registered before the first await, so requests arriving together share the lookup and any fill
+    lookup = lookupOrFill(key, source, variant, ext, produce);
+    inFlight.set(key, lookup);
+    let result;
+    try {
+      result = await lookup;
+    } finally {
+      inFlight.delete(key);
+    }
+    return { path: entryPaths(key, result.entry.ext).file, info: result.entry.info, hit: result.hit, release };
+  } catch (err) {
+    release();
+    throw err;
+  }
+}
+
+// Cached entry for a key, or a freshly filled one: { entry, hit }
+async function lookupOrFill(key, source, variant, ext, produce) {
+  let entry = config.downloadCache.enabled ? await readMeta(key) : null;
+  if (entry && Date.now() - new Date(entry.createdAt).getTime() > ttlMs()) {
+    await removeEntry(key, entry.ext);
+    entry = null;
+  }
+  if (entry) {
+    const { file } = entryPaths(key, entry.ext);
+    if (await fs.access(file).then(() => true, () => false)) {
+      stats.hits++;
+      // Touch for LRU ordering
+      const now = new Date();
+      await fs.utimes(entryPaths(key).meta, now, now).catch(() => {});
+      return { entry, hit: true };
+    }
+  }
+  stats.misses++;
+  entry = await fill(key, source, variant, ext, produce);
+  if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) {
+    lastPruneAt = Date.now();
+    pruneDownloadCache().catch(() => {});
+  }
+  return { entry, hit: false };
+}
+
+/**
+ * Cached JSON value for a source (e.g. probe results for a template video), computed once
+ */
+export async function cachedValue(source, variant, compute) {
+  const lease = await acquire(source, {
+    variant,
+    ext: '.json',
+    produce: async (tmpPath) => {
+      await fs.writeFile(tmpPath, JSON.stringify((await compute()) ?? null));
+    },
+  });
+  try {
+    return JSON.parse(await fs.readFile(lease.path, 'utf8'));
+  } finally {
+    lease.release();
+  }
+}
+
+async function listEntries() {
+  let files;
+  try {
+    files = await fs.readdir(config.downloadCache.dir);
+  } catch {
+    return [];
+  }
+  const now = Date.now();
+  const entries = [];
+  for (const file of files) {
+    // Temp files left behind by a crash
+    if (file.endsWith('.tmp')) {
+      const stat = await fs.stat(path.join(config.downloadCache.dir, file)).catch(() => null);
+      if (stat && now - stat.mtimeMs > DOWNLOAD_TIMEOUT_MS * 2) await fs.unlink(path.join(config.downloadCache.dir, file)).catch(() => {});
+      continue;
+    }
+    if (!file.endsWith('.meta')) continue;
+    const key = file.slice(0, -'.meta'.length);
+    try {
+      const { meta } = entryPaths(key);
+      const info = JSON.parse(await fs.readFile(meta, 'utf8'));
+      const [metaStat, dataStat] = await Promise.all([fs.stat(meta), fs.stat(entryPaths(key, info.ext).file)]);
+      entries.push({ key, ext: info.ext, variant: info.variant, usedAt: metaStat.mtimeMs, size: dataStat.size });
+    } catch {
+      if (!leases.has(key) && !inFlight.has(key)) await removeEntry(key);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Drop expired entries, then the least recently used until within maxEntries / maxBytes.
+ * Leased and in-flight entries are skipped (they still count towards the limits).
+ */
+export async function pruneDownloadCache() {
+  const entries = await listEntries();
+  const now = Date.now();
+  const busy = (entry) => leases.has(entry.key) || inFlight.has(entry.key);
+  let removed = 0;
+
+  const live = [];
+  for (const entry of entries) {
+    if (!busy(entry) && (!config.downloadCache.enabled || now - entry.usedAt > ttlMs())) {
+      await removeEntry(entry.key, entry.ext);
+      removed++;
+    } else {
+      live.push(entry);
+    }
+  }
+
+  live.sort((a, b) => a.usedAt - b.usedAt); // oldest use first
+  let bytes = live.reduce((sum, e) => sum + e.size, 0);
+  let count = live.length;
+  for (const entry of live) {
+    if (count <= config.downloadCache.maxEntries && bytes <= config.downloadCache.maxBytes) break;
+    if (busy(entry)) continue;
+    await removeEntry(entry.key, entry.ext);
+    bytes -= entry.size;
+    count--;
+    removed++;
+  }
+
+  return removed;
+}
+
+export async function getDownloadCacheStats() {
+  const entries = await listEntries();
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: config.downloadCache.enabled,
+    entries: entries.length,
+    totalSize: entries.reduce((sum, e) => sum + e.size, 0),
+    maxEntries: config.downloadCache.maxEntries,
+    maxSize: config.downloadCache.maxBytes,
+    ttlMinutes: config.downloadCache.ttlMinutes,
+    inUse: leases.size,
+    downloading: inFlight.size,
+    hits: stats.hits,
+    misses: stats.misses,
+    sharedDownloads: stats.shared,
+    hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null,
+  };
+}
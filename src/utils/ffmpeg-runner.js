@@ -0,0 +1,179 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+
+// FFmpeg / FFprobe runner
+// - spawns with argument arrays (no shell), so file names and user text are never parsed as commands
+// - keeps the tail of stderr and attaches it to errors for diagnostics
+// - enforces a timeout and kills the process when the AbortSignal fires (job cancel, client disconnect)
+// - drawtext content is written to files (writeTextFile) and referenced with textfile=, never inlined
+
+const STDERR_TAIL_CHARS = 64 * 1024;
+const TIME_PATTERN = /time=(\d+):(\d+):(\d+(?:\.\d+)?)/g;
+
+function lastLines(text, count) {
+  return String(text || '').trim().split(/\r?\n/).slice(-count).join('\n');
+}
+
+function run(binary, args, { label, timeoutMs = 0, signal, onStderr } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Cancelled by client'));
+
+    const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+    const stdout = [];
+    let stderr = '';
+    let killedFor = null;
+    let settled = false;
+
+    const kill = (reason) => {
+      if (killedFor) return;
+      killedFor = reason;
+      child.kill('SIGKILL');
+    };
+    const timer = timeoutMs > 0 ? setTimeout(() => kill('timeout'), timeoutMs) : null;
+    const onAbort = () => kill('abort');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (!err) return resolve(value);
+      err.stderr = stderr;
+      if (killedFor !== 'abort') {
+        console.error(`❌ ${label} failed: ${err.message}`);
+        if (stderr) console.error(`   stderr (tail):\n${lastLines(stderr, 15)}`);
+      }
+      reject(err);
+    };
+
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => {
+      const text = chunk.toString();
+      stderr = (stderr + text).slice(-STDERR_TAIL_CHARS);
+      try { onStderr?.(text); } catch {}
+    });
+
+    child.on('error', (err) => finish(new Error(`${label} could not be started (${binary}): ${err.message}`)));
+    child.on('close', (code) => {
+      if (killedFor === 'abort') return finish(new Error('Cancelled by client'));
+      if (killedFor === 'timeout') return finish(new Error(`${label} timed out after ${timeoutMs / 1000}s`));
+      if (code !== 0) return finish(new Error(`${label} exited with code ${code}: ${lastLines(stderr, 1)}`));
+      finish(null, { stdout: Buffer.concat(stdout).toString(), stderr });
+    });
+  });
+}
+
+/**
+ * Run ffmpeg. `durationSeconds` + `onProgress(fraction 0..1)` report progress parsed from `time=`.
+ * Resolves with { stdout, stderr }; rejects with an Error carrying `.stderr`.
+ */
+export function runFfmpeg(args, { label = 'FFmpeg', timeoutMs, signal, durationSeconds, onProgress } = {}) {
+  let lastFraction = -1;
+  const onStderr = durationSeconds > 0 && onProgress
+    ? (text) => {
+      const times = [...text.matchAll(TIME_PATTERN)];
+      if (times.length === 0) return;
+      const [, h, m, s] = times[times.length - 1];
+      const elapsed = Number(h) * 3600 + Number(m) * 60 + Number(s);
+      const fraction = Math.min(1, elapsed / durationSeconds);
+      if (fraction > lastFraction) {
+        lastFraction = fraction;
+        onProgress(fraction);
+      }
+    }
+    : undefined;
+
+  return run(config.ffmpeg.ffmpegPath, ['-hide_banner', '-nostdin', ...args], {
+    label,
+    timeoutMs: timeoutMs ?? config.ffmpeg.timeoutSeconds * 1000,
+    signal,
+    onStderr,
+  });
+}
+
+/**
+ * Run ffprobe and resolve with its stdout
+ */
+export async function runFfprobe(args, { label = 'FFprobe', timeoutMs, signal } = {}) {
+  const { stdout } = await run(config.ffmpeg.ffprobePath, args, {
+    label,
+    timeoutMs: timeoutMs ?? config.ffmpeg.probeTimeoutSeconds * 1000,
+    signal,
+  });
+  return stdout;
+}
+
+/**
+ * Width/height of the first video (or image) stream
+ */
+export async function probeDimensions(filePath, options = {}) {
+  const stdout = await runFfprobe(
+    ['-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=width,height', '-of', 'csv=s=x:p=0', filePath],
+    options
+  );
+  const [width, height] = stdout.trim().split('\n')[0].split('x').map(Number);
+  return { width, height };
+}
+
+/**
+ * Container duration in seconds (0 when unknown)
+ */
+export async function probeDuration(filePath, options = {}) {
+  const stdout = await runFfprobe(
+    ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', filePath],
+    options
+  );
+  return parseFloat(stdout.trim()) || 0;
+}
+
+/**
+ * Full ffprobe JSON (format + streams) for a local file or an http(s) URL.
+ * URLs are limited to network protocols so a playlist can't pull in local files.
+ */
+export async function probeMedia(source, options = {}) {
+  const remote = /^https?:\/\//i.test(String(source));
+  const stdout = await runFfprobe(
+    [
+      '-v', 'error',
+      ...(remote ? ['-protocol_whitelist', 'http,https,tcp,tls'] : []),
+      '-print_format', 'json', '-show_format', '-show_streams',
+      source,
+    ],
+    options
+  );
+  return JSON.parse(stdout || '{}');
+}
+
+/**
+ * Write drawtext content to a file in `dir` and return its path (use with textfile=)
+ */
+export async function writeTextFile(dir, text, prefix = 'text') {
+  const filePath = path.join(dir, `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.txt`);
+  await fs.writeFile(filePath, String(text ?? ''), 'utf8');
+  return filePath;
+}
+
+/**
+ * Quote a file path for use as a filter option value (e.g. drawtext textfile=)
+ */
+export function filterPath(filePath) {
+  const normalized = String(filePath).replace(/\\/g, '/');
+  if (/['\n]/.test(normalized)) throw new Error(`Unsupported character in filter path: ${filePath}`);
+  // Quoted so ':' (Windows drive letters) is not read as an option separator
+  return `'${normalized}'`;
+}
+
+/**
+ * AbortSignal that fires when the client goes away before the response is sent
+ */
+export function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+}
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/config.js';
+
+// Server-side fonts for text overlays (see fonts/README.md)
+// fonts.json maps bundled files to { family, weight, style, scripts }; `defaults` names the
+// family used per script when a requested family is unknown or can't render the text.
+// FFmpeg gets the resolved file directly; SVG text rendered by sharp (librsvg) looks families up
+// through fontconfig, so the fonts dir is registered with it when this module loads.
+
+// Unicode blocks of the Indic scripts we ship fonts for; anything else counts as latin
+const SCRIPT_RANGES = [
+  { script: 'devanagari', from: 0x0900, to: 0x097f },
+  { script: 'bengali', from: 0x0980, to: 0x09ff },
+  { script: 'tamil', from: 0x0b80, to: 0x0bff },
+  { script: 'telugu', from: 0x0c00, to: 0x0c7f },
+  { script: 'kannada', from: 0x0c80, to: 0x0cff },
+];
+
+const WEIGHT_NAMES = {
+  thin: 100,
+  extralight: 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  black: 900,
+};
+
+let registry = null;
+
+function familyKey(family) {
+  return String(family || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Read the manifest once; entries whose file is missing are skipped with a warning
+function loadRegistry() {
+  if (registry) return registry;
+  const dir = config.fonts.dir;
+  const families = new Map();
+  let defaults = {};
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, config.fonts.manifest), 'utf8'));
+    defaults = manifest.defaults || {};
+    const missing = [];
+    for (const entry of Array.isArray(manifest.fonts) ? manifest.fonts : []) {
+      if (!entry?.family || !entry?.file) continue;
+      const file = path.resolve(dir, entry.file);
+      if (!fs.existsSync(file)) {
+        missing.push(entry.file);
+        continue;
+      }
+      const key = familyKey(entry.family);
+      if (!families.has(key)) families.set(key, []);
+      families.get(key).push({
+        family: entry.family,
+        weight: normalizeWeight(entry.weight),
+        style: normalizeStyle(entry.style),
+        scripts: Array.isArray(entry.scripts) && entry.scripts.length ? entry.scripts : ['latin'],
+        file,
+      });
+    }
+    if (missing.length) console.warn(`⚠️ ${missing.length} font file(s) listed in ${config.fonts.manifest} are missing from ${dir}: ${missing.join(', ')}`);
+    console.log(`🔤 Font registry: ${families.size} family(ies) loaded from ${dir}`);
+  } catch (err) {
+    console.warn(`⚠️ Font registry unavailable (${err.message}); text overlays will use FFmpeg's default font`);
+  }
+
+  registry = { families, defaults };
+  return registry;
+}
+
+// Point fontconfig at a generated config that adds the fonts dir to the system one (or to an
+// existing FONTCONFIG_FILE). Must run before sharp first renders text: fontconfig reads it once.
+function registerFontconfig() {
+  const { dir, fontconfigDir } = config.fonts;
+  const base = process.env.FONTCONFIG_FILE || '/etc/fonts/fonts.conf';
+  const file = path.join(fontconfigDir, 'fonts.conf');
+  if (base === file) return;
+  const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  try {
+    fs.mkdirSync(fontconfigDir, { recursive: true });
+    fs.writeFileSync(file, [
+      '<?xml version="1.0"?>',
+      '<!DOCTYPE fontconfig SYSTEM "fonts.dtd">',
+      '<fontconfig>',
+      `  <include ignore_missing="yes">${escape(base)}</include>`,
+      `  <dir>${escape(dir)}</dir>`,
+      `  <cachedir>${escape(path.join(fontconfigDir, 'cache'))}</cachedir>`,
+      '</fontconfig>',
+      '',
+    ].join('\n'));
+    process.env.FONTCONFIG_FILE = file;
+  } catch (err) {
+    console.warn(`⚠️ Could not register ${dir} with fontconfig (${err.message}); rendered templates will use system fonts`);
+  }
+}
+
+registerFontconfig();
+
+/**
+ * Map CSS-style weights ('bold', '600', 700) to a number between 100 and 900
+ */
+export function normalizeWeight(weight) {
+  if (weight === undefined || weight === null || weight === '') return 400;
+  const named = WEIGHT_NAMES[String(weight).trim().toLowerCase().replace(/[\s_-]/g, '')];
+  if (named) return named;
+  const n = Number(weight);
+  if (!Number.isFinite(n)) return 400;
+  return Math.max(100, Math.min(900, Math.round(n / 100) * 100));
+}
+
+export function normalizeStyle(style) {
+  return ['italic', 'oblique'].includes(String(style || '').trim().toLowerCase()) ? 'italic' : 'normal';
+}
+
+/**
+ * Dominant script of a string by Unicode block ('telugu', 'devanagari', 'tamil', ... or 'latin')
+ */
+export function detectScript(text) {
+  const counts = {};
+  for (const ch of String(text || '')) {
+    const code = ch.codePointAt(0);
+    const range = SCRIPT_RANGES.find((r) => code >= r.from && code <= r.to);
+    if (range) counts[range.script] = (counts[range.script] || 0) + 1;
+  }
+  let best = 'latin';
+  let bestCount = 0;
+  for (const [script, count] of Object.entries(counts)) {
+    if (count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Closest face in a family: same style first, then the nearest weight (heavier wins ties above 500, like CSS)
+function pickFace(faces, weight, style) {
+  const sameStyle = faces.filter((f) => f.style === style);
+  const pool = sameStyle.length ? sameStyle : faces;
+  return pool.reduce((best, face) => {
+    if (!best) return face;
+    const d = Math.abs(face.weight - weight);
+    const bestD = Math.abs(best.weight - weight);
+    if (d !== bestD) return d < bestD ? face : best;
+    return (weight > 500) === (face.weight > best.weight) ? face : best;
+  }, null);
+}
+
+function facesFor(family, script) {
+  const faces = loadRegistry().families.get(familyKey(family)) || [];
+  return faces.filter((f) => f.scripts.includes(script));
+}
+
+/**
+ * Resolve a text overlay's font to a bundled file.
+ * Returns { file, family, weight, style, script, fallback } or null when no font is available
+ * (callers then leave the font to the renderer's default).
+ */
+export function resolveFont({ fontFamily, fontWeight, fontStyle, text } = {}) {
+  const { defaults } = loadRegistry();
+  const script = detectScript(text);
+  const weight = normalizeWeight(fontWeight);
+  const style = normalizeStyle(fontStyle);
+
+  // Requested family if it covers the text, else the script default; the latin default is the
+  // last resort so weight/style are still honoured when no font for the script is installed
+  const candidates = [
+    [fontFamily, script],
+    [defaults[script], script],
+    [defaults.latin, 'latin'],
+  ].filter(([family]) => family);
+  for (const [family, coverage] of candidates) {
+    const faces = facesFor(family, coverage);
+    const face = faces.length ? pickFace(faces, weight, style) : null;
+    if (face) {
+      return {
+        file: face.file,
+        family: face.family,
+        weight: face.weight,
+        style: face.style,
+        script,
+        fallback: !fontFamily || familyKey(face.family) !== familyKey(fontFamily),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Registered families with their faces, for clients building a font picker
+ */
+export function listFonts() {
+  const { families, defaults } = loadRegistry();
+  return {
+    defaults,
+    families: [...families.values()].map((faces) => ({
+      family: faces[0].family,
+      scripts: [...new Set(faces.flatMap((f) => f.scripts))],
+      faces: faces.map((f) => ({ weight: f.weight, style: f.style })),
+    })),
+  };
+}
@@ -0,0 +1,50 @@
+import axios from 'axios';
+import sharp from 'sharp';
+
+// Caps on images from user-controlled URLs and uploads, so one render or job can't exhaust memory:
+// download size and decoded pixels. Overflows are 413 errors that are never retried.
+
+const FETCH_TIMEOUT_MS = 30 * 1000;
+export const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+export const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+export function imageTooLarge(message) {
+  const err = new Error(message);
+  err.status = 413;
+  err.retryable = false;
+  return err;
+}
+
+function tooManyBytes() {
+  return imageTooLarge(`Image is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`);
+}
+
+/**
+ * Download an http(s) image into a buffer, stopping at MAX_IMAGE_BYTES
+ */
+export async function fetchImage(url, { signal } = {}) {
+  const response = await axios({
+    url,
+    method: 'GET',
+    responseType: 'arraybuffer',
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_IMAGE_BYTES,
+    signal,
+  }).catch((err) => {
+    throw /maxContentLength/.test(err?.message) ? tooManyBytes() : err;
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Reject buffers over the byte or pixel limits. The pixel check only reads the header;
+ * decode with { limitInputPixels: MAX_INPUT_PIXELS } to cover anything that slips past.
+ */
+export async function checkImageLimits(buffer) {
+  if (buffer.length > MAX_IMAGE_BYTES) throw tooManyBytes();
+  const { width = 0, height = 0 } = await sharp(buffer).metadata().catch(() => ({}));
+  if (width * height > MAX_INPUT_PIXELS) {
+    throw imageTooLarge(`Image is ${width}x${height}; at most ${MAX_INPUT_PIXELS / 1e6} megapixels are supported`);
+  }
+  return buffer;
+}
@@ -0,0 +1,104 @@
+import config from '../config/config.js';
+import { probeMedia } from './ffmpeg-runner.js';
+
+// Source media checks for video uploads and composites, from ffprobe's JSON output.
+// width/height are the *display* size: phone videos are often stored landscape with a 90/270 degree
+// rotation flag, and FFmpeg auto-rotates them when decoding, so filters see the rotated frame.
+
+export const SUPPORTED_VIDEO_CODECS = ['h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4', 'mpeg2video', 'mpeg1video', 'prores', 'mjpeg'];
+
+function parseRate(value) {
+  const [num, den] = String(value || '').split('/').map(Number);
+  if (!Number.isFinite(num) || num <= 0) return null;
+  const rate = den > 0 ? num / den : num;
+  return Number(rate.toFixed(3));
+}
+
+// Clockwise rotation in degrees (0, 90, 180, 270). Older files use a `rotate` tag (clockwise);
+// newer FFmpeg reports a display matrix whose rotation is counter-clockwise
+function readRotation(stream) {
+  let degrees = 0;
+  if (stream.tags?.rotate !== undefined) {
+    degrees = Number(stream.tags.rotate) || 0;
+  } else {
+    const matrix = (stream.side_data_list || []).find((d) => d.rotation !== undefined);
+    if (matrix) degrees = -Number(matrix.rotation) || 0;
+  }
+  return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+}
+
+/**
+ * Summarise ffprobe JSON: { codec, width, height, codedWidth, codedHeight, rotation, fps, duration,
+ * hasVideo, hasAudio, audioCodec, format }. Cover art in audio files doesn't count as video.
+ */
+export function describeMedia(probe = {}) {
+  const streams = Array.isArray(probe.streams) ? probe.streams : [];
+  const video = streams.find((s) => s.codec_type === 'video' && !s.disposition?.attached_pic);
+  const audio = streams.find((s) => s.codec_type === 'audio');
+  const rotation = video ? readRotation(video) : 0;
+  const codedWidth = Number(video?.width) || 0;
+  const codedHeight = Number(video?.height) || 0;
+  const sideways = rotation === 90 || rotation === 270;
+  const duration = Number(probe.format?.duration) || Number(video?.duration) || 0;
+
+  return {
+    codec: video?.codec_name || null,
+    width: sideways ? codedHeight : codedWidth,
+    height: sideways ? codedWidth : codedHeight,
+    codedWidth,
+    codedHeight,
+    rotation,
+    fps: video ? parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate) : null,
+    duration: Number(duration.toFixed(3)),
+    hasVideo: !!video,
+    hasAudio: !!audio,
+    audioCodec: audio?.codec_name || null,
+    format: probe.format?.format_name || null,
+  };
+}
+
+/**
+ * Probe a local file or http(s) URL and summarise it (see describeMedia)
+ */
+export async function probeVideo(source, options = {}) {
+  return describeMedia(await probeMedia(source, options));
+}
+
+/**
+ * Check described media against the upload/composite limits.
+ * Returns null when usable, otherwise { status, error } for the HTTP response.
+ */
+export function validateMedia(info, { maxDuration = null } = {}) {
+  const { minDimension, maxDimension } = config.videoTemplates;
+  if (!info.hasVideo) {
+    return { status: 400, error: info.hasAudio ? 'File is audio-only; a video is required' : 'File has no video stream' };
+  }
+  if (!SUPPORTED_VIDEO_CODECS.includes(info.codec)) {
+    return { status: 415, error: `Unsupported video codec "${info.codec || 'unknown'}" (supported: ${SUPPORTED_VIDEO_CODECS.join(', ')})` };
+  }
+  if (!info.width || !info.height || Math.min(info.width, info.height) < minDimension || Math.max(info.width, info.height) > maxDimension) {
+    return { status: 400, error: `Video resolution ${info.width}x${info.height} is outside the supported range (${minDimension}-${maxDimension}px per side)` };
+  }
+  if (!(info.duration > 0)) {
+    return { status: 400, error: 'Video is empty (zero duration)' };
+  }
+  if (maxDuration && info.duration > maxDuration) {
+    return { status: 400, error: `Video is ${info.duration.toFixed(1)}s long; at most ${maxDuration}s is supported` };
+  }
+  return null;
+}
+
+/**
+ * Fields stored on Template.media_info
+ */
+export function mediaInfoFields(info) {
+  return {
+    codec: info.codec,
+    width: info.width,
+    height: info.height,
+    fps: info.fps,
+    rotation: info.rotation,
+    has_audio: info.hasAudio,
+    audio_codec: info.audioCodec,
+  };
+}
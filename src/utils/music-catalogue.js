@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/config.js';
+
+// Background music tracks for video composites (see music/README.md)
+// catalogue.json lists { id, title, artist, category, file | url, duration, license };
+// composites reference tracks by id (overlays.audio.trackId)
+
+let catalogue = null;
+
+// Read the catalogue once; tracks without a usable source are skipped with a warning
+function loadCatalogue() {
+  if (catalogue) return catalogue;
+  const dir = config.music.dir;
+  const tracks = new Map();
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, config.music.catalogue), 'utf8'));
+    const skipped = [];
+    for (const entry of Array.isArray(manifest.tracks) ? manifest.tracks : []) {
+      if (!entry?.id || tracks.has(String(entry.id))) continue;
+      let source = null;
+      if (entry.file) {
+        const file = path.resolve(dir, entry.file);
+        if (fs.existsSync(file)) source = { type: 'file', location: file };
+      } else if (/^https?:\/\//i.test(String(entry.url || ''))) {
+        source = { type: 'url', location: String(entry.url) };
+      }
+      if (!source) {
+        skipped.push(String(entry.id));
+        continue;
+      }
+      tracks.set(String(entry.id), {
+        id: String(entry.id),
+        title: entry.title || String(entry.id),
+        artist: entry.artist || null,
+        category: entry.category || null,
+        duration: Number(entry.duration) || null,
+        license: entry.license || null,
+        source,
+      });
+    }
+    if (skipped.length) console.warn(`⚠️ Music catalogue: skipped ${skipped.length} track(s) without a usable file/url: ${skipped.join(', ')}`);
+    console.log(`🎵 Music catalogue: ${tracks.size} track(s) loaded from ${dir}`);
+  } catch (err) {
+    console.warn(`⚠️ Music catalogue unavailable (${err.message})`);
+  }
+
+  catalogue = tracks;
+  return catalogue;
+}
+
+/**
+ * Track by id, with `source` { type: 'file' | 'url', location }, or null when unknown
+ */
+export function getTrack(id) {
+  if (id === undefined || id === null || id === '') return null;
+  return loadCatalogue().get(String(id)) || null;
+}
+
+/**
+ * Public track list (no file paths), optionally filtered by category
+ */
+export function listTracks({ category } = {}) {
+  const wanted = category ? String(category).toLowerCase() : null;
+  return [...loadCatalogue().values()]
+    .filter((t) => !wanted || String(t.category || '').toLowerCase() === wanted)
+    .map(({ source, ...track }) => track);
+}
@@ -0,0 +1,158 @@
+// Named output formats for composited videos (POST /api/videos/composite `preset`)
+// Sizes are bounding boxes by long/short edge, so portrait and landscape sources both fit; we never upscale.
+// maxDuration (seconds) and maxFileSize (MB) follow the sharing target's limits: longer sources are rejected,
+// and the video bitrate is capped so the output fits the size budget.
+
+export const OUTPUT_PRESETS = {
+  whatsapp_status: {
+    label: 'WhatsApp status',
+    container: 'mp4',
+    longEdge: 1280,
+    shortEdge: 720,
+    maxDuration: 60,
+    maxFileSize: 16,
+    video: { codec: 'libx264', crf: 26, speed: 'fast', maxRate: 2000 },
+    audio: { codec: 'aac', bitrate: 128 },
+  },
+  instagram_reel: {
+    label: 'Instagram reel',
+    container: 'mp4',
+    longEdge: 1920,
+    shortEdge: 1080,
+    maxDuration: 90,
+    maxFileSize: 100,
+    video: { codec: 'libx264', crf: 21, speed: 'fast', maxRate: 8000 },
+    audio: { codec: 'aac', bitrate: 192 },
+  },
+  hd_1080: {
+    label: 'Full HD 1080p',
+    container: 'mp4',
+    longEdge: 1920,
+    shortEdge: 1080,
+    // Asking for 1080p from a smaller source would only upscale it
+    requireFullResolution: true,
+    video: { codec: 'libx264', crf: 20, speed: 'fast' },
+    audio: { codec: 'aac', bitrate: 192 },
+  },
+  preview_480: {
+    label: '480p preview',
+    container: 'mp4',
+    longEdge: 854,
+    shortEdge: 480,
+    video: { codec: 'libx264', crf: 30, speed: 'veryfast' },
+    audio: { codec: 'aac', bitrate: 96 },
+  },
+  gif: {
+    label: 'Animated GIF',
+    container: 'gif',
+    longEdge: 640,
+    shortEdge: 360,
+    maxDuration: 15,
+    maxFileSize: 8,
+    fps: 12,
+    video: { codec: 'gif' },
+    audio: null,
+  },
+  webm: {
+    label: 'WebM (VP9)',
+    container: 'webm',
+    longEdge: 1920,
+    shortEdge: 1080,
+    video: { codec: 'libvpx-vp9', crf: 32 },
+    audio: { codec: 'libopus', bitrate: 128 },
+  },
+};
+
+// Keep a little headroom under maxFileSize for container overhead and rate-control overshoot
+const SIZE_BUDGET = 0.9;
+
+/**
+ * Preset by name (case-insensitive), or null when unknown
+ */
+export function getOutputPreset(name) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  return OUTPUT_PRESETS[key] ? { name: key, ...OUTPUT_PRESETS[key] } : null;
+}
+
+/**
+ * Public preset list for the app
+ */
+export function listOutputPresets() {
+  return Object.entries(OUTPUT_PRESETS).map(([name, p]) => ({
+    name,
+    label: p.label,
+    container: p.container,
+    maxResolution: `${p.shortEdge}x${p.longEdge}`,
+    maxDuration: p.maxDuration || null,
+    maxFileSizeMB: p.maxFileSize || null,
+    hasAudio: !!p.audio,
+  }));
+}
+
+/**
+ * Output size for a source: fit inside the preset's box keeping the aspect ratio, never upscaled, even numbers
+ */
+export function presetOutputSize(preset, { width, height }) {
+  const portrait = height >= width;
+  const maxW = portrait ? preset.shortEdge : preset.longEdge;
+  const maxH = portrait ? preset.longEdge : preset.shortEdge;
+  const k = Math.min(1, maxW / width, maxH / height);
+  const even = (n) => Math.max(2, Math.floor(n / 2) * 2);
+  return { width: even(width * k), height: even(height * k) };
+}
+
+/**
+ * Check a source (probed width/height/duration) against a preset; returns an error message or null
+ */
+export function validatePresetForSource(preset, { width, height, duration }) {
+  if (preset.maxDuration && duration > preset.maxDuration) {
+    return `Video is ${duration.toFixed(1)}s long; the ${preset.name} preset allows at most ${preset.maxDuration}s`;
+  }
+  if (preset.requireFullResolution && Math.min(width, height) < preset.shortEdge) {
+    return `Video is ${width}x${height}; the ${preset.name} preset needs a source of at least ${preset.shortEdge}p`;
+  }
+  return null;
+}
+
+/**
+ * filter_complex segment turning the composited [out] stream into [vout] for the preset
+ */
+export function presetVideoFilter(preset, size, source) {
+  if (preset.container === 'gif') {
+    // Two-pass palette in one graph: far better colours than GIF's default palette
+    return `[out]fps=${preset.fps},scale=${size.width}:${size.height}:flags=lanczos,split[gif_a][gif_b];` +
+      `[gif_a]palettegen=stats_mode=diff[gif_palette];[gif_b][gif_palette]paletteuse=dither=bayer:bayer_scale=5[vout]`;
+  }
+  const resize = size.width !== source.width || size.height !== source.height ? `scale=${size.width}:${size.height},` : '';
+  return `[out]${resize}format=yuv420p[vout]`;
+}
+
+/**
+ * Encoder arguments for a preset. `audio` is 'encode' when an audio stream is mapped, 'none' otherwise.
+ * With a maxFileSize and a known duration, the video bitrate is capped to fit the budget.
+ */
+export function presetEncodeArgs(preset, { duration = 0, audio = 'encode' } = {}) {
+  const args = [];
+  const audioBitrate = preset.audio && audio !== 'none' ? preset.audio.bitrate : 0;
+  let maxRate = preset.video.maxRate || null;
+  if (preset.maxFileSize && duration > 0 && preset.video.codec !== 'gif') {
+    const budget = Math.floor((preset.maxFileSize * 8 * 1024 * SIZE_BUDGET) / duration) - audioBitrate;
+    maxRate = Math.max(200, maxRate ? Math.min(maxRate, budget) : budget);
+  }
+
+  if (preset.video.codec === 'libx264') {
+    args.push('-c:v', 'libx264', '-preset', preset.video.speed || 'fast', '-crf', String(preset.video.crf));
+    if (maxRate) args.push('-maxrate', `${maxRate}k`, '-bufsize', `${maxRate * 2}k`);
+    args.push('-movflags', '+faststart');
+  } else if (preset.video.codec === 'libvpx-vp9') {
+    // Constrained quality: CRF with -b:v as the ceiling (0 = unconstrained)
+    args.push('-c:v', 'libvpx-vp9', '-crf', String(preset.video.crf), '-b:v', maxRate ? `${maxRate}k` : '0', '-row-mt', '1', '-deadline', 'good', '-cpu-used', '4');
+  } else if (preset.video.codec === 'gif') {
+    args.push('-loop', '0');
+  }
+
+  if (audioBitrate) args.push('-c:a', preset.audio.codec, '-b:a', `${audioBitrate}k`);
+  else args.push('-an');
+  return args;
+}
@@ -0,0 +1,191 @@
+// Timing and animation for composite overlays, expressed as FFmpeg filter expressions
+// Overlay fields (all optional):
+//   start / end: seconds the overlay is visible (default: the whole clip)
+//   enter / exit: { type: 'fade' | 'slide' | 'scale', duration: seconds (0.5), from / to: 'left' | 'right' | 'top' | 'bottom' }
+//     (slides come in from / leave to the given edge of the frame; 'scale' is a pop with a slight overshoot)
+//   kenBurns (photos): { zoomFrom: 1, zoomTo: 1.2, panFrom: 'center', panTo: 'center' } over the visible span
+// Expressions use the FFmpeg time variable `t`, so they work for overlay x/y, drawtext alpha/x/y and scale (eval=frame).
+
+const ANIMATION_TYPES = ['fade', 'slide', 'scale'];
+const EDGES = ['left', 'right', 'top', 'bottom'];
+const DEFAULT_ANIMATION_SECONDS = 0.5;
+export const KEN_BURNS_FPS = 25;
+
+// Pan anchors as fractions of the free space (0 = left/top edge, 1 = right/bottom edge)
+const PAN_POSITIONS = {
+  center: [0.5, 0.5],
+  left: [0, 0.5],
+  right: [1, 0.5],
+  top: [0.5, 0],
+  bottom: [0.5, 1],
+  'top-left': [0, 0],
+  'top-right': [1, 0],
+  'bottom-left': [0, 1],
+  'bottom-right': [1, 1],
+};
+
+function fmt(n) {
+  return Number(Number(n).toFixed(3));
+}
+
+function seconds(value) {
+  const n = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(n) ? null : Math.max(0, n);
+}
+
+function readAnimation(spec, edgeKey) {
+  if (!spec) return null;
+  const raw = typeof spec === 'string' ? { type: spec } : spec;
+  const type = String(raw.type || '').toLowerCase();
+  if (!ANIMATION_TYPES.includes(type)) return null;
+  const edge = String(raw[edgeKey] || raw.edge || '').toLowerCase();
+  return {
+    type,
+    duration: Math.max(0.05, seconds(raw.duration) ?? DEFAULT_ANIMATION_SECONDS),
+    edge: EDGES.includes(edge) ? edge : 'left',
+  };
+}
+
+/**
+ * Resolve an overlay's visible window and animations against the clip length.
+ * `end` is null when the overlay stays until the end of an unknown-length clip.
+ */
+export function overlayTiming(overlay = {}, clipDuration = 0) {
+  const clipEnd = clipDuration > 0 ? clipDuration : null;
+  const start = Math.min(seconds(overlay.start) ?? 0, clipEnd ?? Infinity);
+  let end = seconds(overlay.end);
+  if (end === null || (clipEnd !== null && end > clipEnd)) end = clipEnd;
+  if (end !== null && end < start) end = start;
+
+  const enter = readAnimation(overlay.enter, 'from');
+  // Exit animations need a known end time to count back from
+  const exit = end !== null ? readAnimation(overlay.exit, 'to') : null;
+  // Enter and exit share the window; shrink both when it is too short for them
+  const span = end === null ? Infinity : end - start;
+  const total = (enter?.duration || 0) + (exit?.duration || 0);
+  if (total > span && total > 0) {
+    const k = span / total;
+    if (enter) enter.duration = fmt(enter.duration * k);
+    if (exit) exit.duration = fmt(exit.duration * k);
+  }
+
+  return {
+    start: fmt(start),
+    end: end === null ? null : fmt(end),
+    // Only restrict visibility when the window is narrower than the clip
+    windowed: start > 0 || (end !== null && (clipEnd === null || end < clipEnd)),
+    enter: enter && enter.duration > 0 ? enter : null,
+    exit: exit && exit.duration > 0 ? exit : null,
+  };
+}
+
+export function isAnimated(timing) {
+  return !!(timing.enter || timing.exit);
+}
+
+/**
+ * Value for the `enable` timeline option, or null when the overlay is always visible
+ */
+export function enableExpr(timing) {
+  if (!timing.windowed) return null;
+  return timing.end === null ? `gte(t,${timing.start})` : `between(t,${timing.start},${timing.end})`;
+}
+
+// 0 -> 1 progress through the enter animation / 0 -> 1 progress through the exit animation
+function enterProgress(timing) {
+  return `clip((t-${timing.start})/${timing.enter.duration},0,1)`;
+}
+
+function exitProgress(timing) {
+  return `clip((t-${fmt(timing.end - timing.exit.duration)})/${timing.exit.duration},0,1)`;
+}
+
+/**
+ * Opacity multiplier (0-1) for fades, or null when neither animation is a fade
+ */
+export function fadeExpr(timing) {
+  const parts = [];
+  if (timing.enter?.type === 'fade') parts.push(enterProgress(timing));
+  if (timing.exit?.type === 'fade') parts.push(`(1-${exitProgress(timing)})`);
+  if (!parts.length) return null;
+  return parts.length === 1 ? parts[0] : `min(${parts[0]},${parts[1]})`;
+}
+
+/**
+ * `fade` filters (alpha only) for image overlay streams; the input must be looped (-loop 1) and rgba
+ */
+export function fadeFilters(timing) {
+  const filters = [];
+  if (timing.enter?.type === 'fade') filters.push(`fade=t=in:st=${timing.start}:d=${timing.enter.duration}:alpha=1`);
+  if (timing.exit?.type === 'fade') filters.push(`fade=t=out:st=${fmt(timing.end - timing.exit.duration)}:d=${timing.exit.duration}:alpha=1`);
+  return filters;
+}
+
+/**
+ * Size multiplier for scale pops, or null when neither animation is a scale.
+ * Enter uses an ease-out-back curve (overshoots ~10% before settling); exit shrinks to nothing.
+ */
+export function scaleExpr(timing) {
+  const parts = [];
+  if (timing.enter?.type === 'scale') {
+    const p = enterProgress(timing);
+    parts.push(`(1+2.70158*pow(${p}-1,3)+1.70158*pow(${p}-1,2))`);
+  }
+  if (timing.exit?.type === 'scale') parts.push(`(1-${exitProgress(timing)})`);
+  if (!parts.length) return null;
+  return `max(0.01,${parts.join('*')})`;
+}
+
+// Distance to move a box from its resting place until it is fully outside the frame past `edge`
+function offscreenDelta(edge, axis, box, frame) {
+  if (axis === 'x') {
+    if (edge === 'left') return -(box.left + box.width);
+    if (edge === 'right') return frame.width - box.left;
+  } else {
+    if (edge === 'top') return -(box.top + box.height);
+    if (edge === 'bottom') return frame.height - box.top;
+  }
+  return 0;
+}
+
+/**
+ * x/y expressions for an overlay resting at (x, y) with slide animations applied.
+ * `box` is the overlay's whole resting box and `frame` the video size, both in pixels; slides are
+ * offsets from the resting position, so a text's lines and its background move together.
+ */
+export function positionExpr(timing, { x, y }, box, frame) {
+  const axisExpr = (axis, base) => {
+    const offsets = [];
+    if (timing.enter?.type === 'slide') {
+      const d = offscreenDelta(timing.enter.edge, axis, box, frame);
+      if (d) offsets.push(`${d}*pow(1-${enterProgress(timing)},3)`);
+    }
+    if (timing.exit?.type === 'slide') {
+      const d = offscreenDelta(timing.exit.edge, axis, box, frame);
+      if (d) offsets.push(`${d}*pow(${exitProgress(timing)},3)`);
+    }
+    return offsets.length ? `${base}+(${offsets.join(')+(')})` : String(base);
+  };
+  return { x: axisExpr('x', x), y: axisExpr('y', y) };
+}
+
+/**
+ * zoompan filter for a Ken Burns move over a (looped) photo stream already scaled to `width`x`height`
+ */
+export function kenBurnsFilter(spec, timing, { width, height }, clipDuration) {
+  if (!spec) return null;
+  const raw = spec === true ? {} : spec;
+  const zoomFrom = Math.max(1, Number(raw.zoomFrom) || 1);
+  const zoomTo = Math.max(1, Number(raw.zoomTo) || 1.2);
+  const [fromX, fromY] = PAN_POSITIONS[String(raw.panFrom || 'center').toLowerCase()] || PAN_POSITIONS.center;
+  const [toX, toY] = PAN_POSITIONS[String(raw.panTo || 'center').toLowerCase()] || PAN_POSITIONS.center;
+  const end = timing.end ?? (clipDuration > 0 ? clipDuration : timing.start + 10);
+  const span = Math.max(0.1, end - timing.start);
+
+  // zoompan has no `t`; with d=1 every input frame yields one output frame, so time = on/fps
+  const p = `clip((on/${KEN_BURNS_FPS}-${timing.start})/${fmt(span)},0,1)`;
+  const z = `${fmt(zoomFrom)}+${fmt(zoomTo - zoomFrom)}*${p}`;
+  const px = `(${fmt(fromX)}+${fmt(toX - fromX)}*${p})`;
+  const py = `(${fmt(fromY)}+${fmt(toY - fromY)}*${p})`;
+  return `zoompan=z='${z}':x='(iw-iw/zoom)*${px}':y='(ih-ih/zoom)*${py}':d=1:s=${width}x${height}:fps=${KEN_BURNS_FPS}`;
+}
@@ -0,0 +1,180 @@
+import sharp from 'sharp';
+import { parseColor } from './color.js';
+
+// Shaped photo overlays (circle, rounded rect, PNG mask) with a border ring and drop shadow,
+// shared by video composites and image renders.
+// Overlay fields (sizes in the same coordinate space as x/y/width/height):
+//   shape: 'rect' | 'rounded' | 'circle' | 'mask'     borderRadius: corner radius for 'rounded'
+//   maskUri: PNG whose alpha (or luminance, if opaque) is the shape, for 'mask'
+//   borderWidth / borderColor: ring drawn inside the box edge
+//   shadowColor / shadowBlur / shadowOffsetX / shadowOffsetY: drop shadow (off unless blur or an offset is set)
+// Templates carry the same settings in `photo_shape` (snake_case, see templateShapeFields).
+
+export const PHOTO_SHAPES = ['rect', 'rounded', 'circle', 'mask'];
+
+function number(value, fallback = 0) {
+  const n = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(n) ? fallback : n;
+}
+
+/**
+ * Template `photo_shape` -> overlay field names, so overlays can fall back to the template's frame
+ */
+export function templateShapeFields(shape) {
+  if (!shape || !shape.type) return {};
+  return {
+    shape: shape.type,
+    borderRadius: shape.radius,
+    maskUri: shape.mask_url || undefined,
+    borderWidth: shape.border_width,
+    borderColor: shape.border_color,
+    shadowColor: shape.shadow_color,
+    shadowBlur: shape.shadow_blur,
+    shadowOffsetX: shape.shadow_offset_x,
+    shadowOffsetY: shape.shadow_offset_y,
+  };
+}
+
+/**
+ * Parse the `photo_shape` template field (JSON string or object) from an upload.
+ * Returns a sanitised object, or null for no shape; throws on an unknown type.
+ */
+export function parseTemplatePhotoShape(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const raw = typeof value === 'string' ? JSON.parse(value) : value;
+  const type = String(raw?.type || 'rect').toLowerCase();
+  if (!PHOTO_SHAPES.includes(type)) throw new Error(`Unknown photo shape "${type}" (use ${PHOTO_SHAPES.join(', ')})`);
+  if (type === 'mask' && !raw.mask_url) throw new Error('photo_shape.mask_url is required for mask shapes');
+  return {
+    type,
+    radius: Math.max(0, number(raw.radius)),
+    mask_url: type === 'mask' ? String(raw.mask_url) : null,
+    border_width: Math.max(0, number(raw.border_width)),
+    border_color: parseColor(raw.border_color) ? raw.border_color : '#ffffff',
+    shadow_color: parseColor(raw.shadow_color) ? raw.shadow_color : 'rgba(0,0,0,0.5)',
+    shadow_blur: Math.max(0, number(raw.shadow_blur)),
+    shadow_offset_x: number(raw.shadow_offset_x),
+    shadow_offset_y: number(raw.shadow_offset_y),
+  };
+}
+
+/**
+ * Normalise a photo overlay's frame settings, scaled to output pixels.
+ * Returns null for a plain rectangle, so callers can keep their simple scale + overlay path.
+ */
+export function photoFrameOptions(photo = {}, scale = 1) {
+  let shape = PHOTO_SHAPES.includes(String(photo.shape || '').toLowerCase()) ? String(photo.shape).toLowerCase() : 'rect';
+  // A mask shape without a mask image has nothing to cut with
+  if (shape === 'mask' && !photo.maskUri) shape = 'rect';
+  const borderWidth = Math.round(Math.max(0, number(photo.borderWidth)) * scale);
+  const shadowBlur = Math.max(0, number(photo.shadowBlur)) * scale;
+  const shadowOffsetX = Math.round(number(photo.shadowOffsetX) * scale);
+  const shadowOffsetY = Math.round(number(photo.shadowOffsetY) * scale);
+  const hasShadow = shadowBlur > 0 || shadowOffsetX !== 0 || shadowOffsetY !== 0;
+  if (shape === 'rect' && !borderWidth && !hasShadow) return null;
+
+  return {
+    shape,
+    radius: Math.round(Math.max(0, number(photo.borderRadius)) * scale),
+    maskUri: shape === 'mask' ? photo.maskUri : null,
+    border: borderWidth > 0 ? { width: borderWidth, color: parseColor(photo.borderColor) ? photo.borderColor : '#ffffff' } : null,
+    shadow: hasShadow
+      ? { color: parseColor(photo.shadowColor) ? photo.shadowColor : 'rgba(0,0,0,0.5)', blur: shadowBlur, offsetX: shadowOffsetX, offsetY: shadowOffsetY }
+      : null,
+  };
+}
+
+// The shape filled with `color` at width x height, as an RGBA PNG
+async function silhouette(width, height, options, color, maskBuffer) {
+  const c = parseColor(color) || { r: 255, g: 255, b: 255, alpha: 1 };
+  if (options.shape === 'mask') {
+    const mask = sharp(maskBuffer).resize(width, height, { fit: 'fill' });
+    const meta = await sharp(maskBuffer).metadata();
+    // Transparent PNG masks use their alpha; opaque ones their luminance (white = visible)
+    const alpha = await (meta.hasAlpha ? mask.ensureAlpha().extractChannel(3) : mask.greyscale()).raw().toBuffer();
+    if (c.alpha < 1) for (let i = 0; i < alpha.length; i++) alpha[i] = Math.round(alpha[i] * c.alpha);
+    return sharp({ create: { width, height, channels: 3, background: { r: c.r, g: c.g, b: c.b } } })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+  }
+
+  const fill = `fill="rgb(${c.r},${c.g},${c.b})" fill-opacity="${c.alpha}"`;
+  let shape;
+  if (options.shape === 'circle') {
+    shape = `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" ${fill}/>`;
+  } else {
+    const r = options.shape === 'rounded' ? Math.min(options.radius, width / 2, height / 2) : 0;
+    shape = `<rect width="${width}" height="${height}" rx="${r}" ry="${r}" ${fill}/>`;
+  }
+  return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shape}</svg>`)).png().toBuffer();
+}
+
+/**
+ * Build the layers of a framed photo for a box of width x height:
+ * - mask: the photo area (inside the ring) as white-on-black, for FFmpeg alphamerge
+ * - decor: shadow + ring on a canvas padded by `margin` on every side (the photo goes on top)
+ * - inner: where the photo sits inside the decor canvas
+ */
+export async function frameLayers({ width, height }, options, maskBuffer = null) {
+  const inset = Math.min(options.border?.width || 0, Math.floor(Math.min(width, height) / 2) - 1);
+  const inner = {
+    width: Math.max(1, width - inset * 2),
+    height: Math.max(1, height - inset * 2),
+  };
+  const innerOptions = { ...options, radius: Math.max(0, options.radius - inset) };
+  const shadow = options.shadow;
+  const margin = shadow ? Math.ceil(shadow.blur * 2) + Math.max(Math.abs(shadow.offsetX), Math.abs(shadow.offsetY)) : 0;
+  const canvas = { width: width + margin * 2, height: height + margin * 2 };
+
+  const layers = [];
+  if (shadow) {
+    const shape = await silhouette(width, height, options, shadow.color, maskBuffer);
+    let shadowLayer = sharp({ create: { ...canvas, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+      .composite([{ input: shape, left: margin + shadow.offsetX, top: margin + shadow.offsetY }]);
+    if (shadow.blur >= 0.3) shadowLayer = sharp(await shadowLayer.png().toBuffer()).blur(shadow.blur);
+    layers.push({ input: await shadowLayer.png().toBuffer(), left: 0, top: 0 });
+  }
+  if (inset > 0) {
+    // Ring = outer shape minus the photo area, so transparent photos don't show a solid fill
+    const outer = await silhouette(width, height, options, options.border.color, maskBuffer);
+    const hole = await silhouette(inner.width, inner.height, innerOptions, '#ffffff', maskBuffer);
+    const ring = await sharp(outer).composite([{ input: hole, left: inset, top: inset, blend: 'dest-out' }]).png().toBuffer();
+    layers.push({ input: ring, left: margin, top: margin });
+  }
+
+  const decor = await sharp({ create: { ...canvas, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+  const mask = await sharp(await silhouette(inner.width, inner.height, innerOptions, '#ffffff', maskBuffer))
+    .flatten({ background: '#000000' })
+    .greyscale()
+    .png()
+    .toBuffer();
+
+  return { decor, mask, margin, inner: { ...inner, left: margin + inset, top: margin + inset }, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Photo cropped to its shape (cover fit) with ring and shadow, as one PNG.
+ * Returns { buffer, margin, width, height }; draw it at (box.left - margin, box.top - margin).
+ */
+export async function framePhoto(photoBuffer, box, options, maskBuffer = null) {
+  const layers = await frameLayers(box, options, maskBuffer);
+  const alphaMask = await sharp(layers.mask).joinChannel(await sharp(layers.mask).extractChannel(0).raw().toBuffer(), {
+    raw: { width: layers.inner.width, height: layers.inner.height, channels: 1 },
+  }).png().toBuffer();
+  const photo = await sharp(photoBuffer)
+    .rotate()
+    .resize(layers.inner.width, layers.inner.height, { fit: 'cover' })
+    .ensureAlpha()
+    .composite([{ input: alphaMask, blend: 'dest-in' }])
+    .png()
+    .toBuffer();
+  const buffer = await sharp(layers.decor)
+    .composite([{ input: photo, left: layers.inner.left, top: layers.inner.top }])
+    .png()
+    .toBuffer();
+  return { buffer, margin: layers.margin, width: layers.width, height: layers.height };
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+
+// Disk cache of finished background-removal outputs (config.resultCache)
+// Key: sha256 of the input bytes plus every option that changes the output
+// Each entry is <key>.png (the final image) and <key>.json (metadata incl. createdAt)
+// Lives on disk so worker threads can write entries and every thread/restart can read them.
+// Eviction: entries older than ttlMinutes, then least recently used beyond maxEntries/maxBytes.
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+let lastPruneAt = 0;
+
+// Hit/miss counters for this process (lookups happen on the main thread)
+const stats = { hits: 0, misses: 0 };
+
+function ttlMs() {
+  return config.resultCache.ttlMinutes * 60 * 1000;
+}
+
+function entryPaths(key) {
+  const safe = String(key).replace(/[^a-f0-9]/g, '');
+  return {
+    image: path.join(config.resultCache.dir, `${safe}.png`),
+    meta: path.join(config.resultCache.dir, `${safe}.json`),
+  };
+}
+
+// Stable JSON (sorted keys) so option order never changes the key; Buffers hash by content
+function canonical(value) {
+  if (Buffer.isBuffer(value)) return `buffer:${crypto.createHash('sha256').update(value).digest('hex')}`;
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) out[key] = canonical(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+export function cacheKey(buffer, options) {
+  return crypto.createHash('sha256')
+    .update(buffer)
+    .update(JSON.stringify(canonical(options ?? null)))
+    .digest('hex');
+}
+
+export async function getCached(key) {
+  if (!config.resultCache.enabled) return null;
+  const { image, meta } = entryPaths(key);
+  try {
+    const info = JSON.parse(await fs.readFile(meta, 'utf8'));
+    if (Date.now() - new Date(info.createdAt).getTime() > ttlMs()) {
+      await removeEntry(key);
+      stats.misses++;
+      return null;
+    }
+    const output = await fs.readFile(image);
+    // Touch for LRU ordering
+    const now = new Date();
+    await fs.utimes(meta, now, now).catch(() => {});
+    stats.hits++;
+    return { output, meta: info };
+  } catch {
+    stats.misses++;
+    return null;
+  }
+}
+
+export async function putCached(key, output, meta = {}) {
+  if (!config.resultCache.enabled) return;
+  await fs.mkdir(config.resultCache.dir, { recursive: true });
+  const { image, meta: metaPath } = entryPaths(key);
+  // Write to temp names and rename so readers never see a half-written entry
+  const suffix = `.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(image + suffix, output);
+  await fs.rename(image + suffix, image);
+  await fs.writeFile(metaPath + suffix, JSON.stringify({ ...meta, size: output.length, createdAt: new Date() }));
+  await fs.rename(metaPath + suffix, metaPath);
+
+  if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) {
+    lastPruneAt = Date.now();
+    await pruneCache().catch(() => {});
+  }
+}
+
+async function removeEntry(key) {
+  const { image, meta } = entryPaths(key);
+  await fs.unlink(meta).catch(() => {});
+  await fs.unlink(image).catch(() => {});
+}
+
+async function listEntries() {
+  let files;
+  try {
+    files = await fs.readdir(config.resultCache.dir);
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const key = file.slice(0, -'.json'.length);
+    try {
+      const { image, meta } = entryPaths(key);
+      const [metaStat, imageStat] = await Promise.all([fs.stat(meta), fs.stat(image)]);
+      entries.push({ key, usedAt: metaStat.mtimeMs, size: imageStat.size });
+    } catch {
+      await removeEntry(key);
+    }
+  }
+  return entries;
+}
+
+// Drop expired entries, then the least recently used until within maxEntries / maxBytes
+export async function pruneCache() {
+  const entries = await listEntries();
+  const now = Date.now();
+  let removed = 0;
+
+  const live = [];
+  for (const entry of entries) {
+    // Not used within the TTL means created before it too; recently used but old entries expire on lookup
+    if (now - entry.usedAt > ttlMs()) {
+      await removeEntry(entry.key);
+      removed++;
+    } else {
+      live.push(entry);
+    }
+  }
+
+  live.sort((a, b) => a.usedAt - b.usedAt); // oldest use first
+  let bytes = live.reduce((sum, e) => sum + e.size, 0);
+  while (live.length > 0 && (live.length > config.resultCache.maxEntries || bytes > config.resultCache.maxBytes)) {
+    const entry = live.shift();
+    await removeEntry(entry.key);
+    bytes -= entry.size;
+    removed++;
+  }
+
+  return removed;
+}
+
+export async function getCacheStats() {
+  const entries = await listEntries();
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: config.resultCache.enabled,
+    entries: entries.length,
+    totalSize: entries.reduce((sum, e) => sum + e.size, 0),
+    maxEntries: config.resultCache.maxEntries,
+    maxSize: config.resultCache.maxBytes,
+    ttlMinutes: config.resultCache.ttlMinutes,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null,
+  };
+}
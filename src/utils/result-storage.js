@@ -0,0 +1,190 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+
+// Storage for processed job output (e.g. background-removed PNGs)
+// Results are short-lived: they share the job's TTL (config.jobs.resultTtlMinutes)
+// - local: files under config.results.dir, served via /uploads/results/<jobId>/<name> only with the
+//   `expires` + `signature` query the URL was issued with (HMAC of the path and expiry)
+// - cloudinary: private assets, handed out as signed download URLs that expire; the assets
+//   themselves are destroyed by the job queue's maintenance pass once their job has expired
+// Outputs can be read back (readResultFile) to embed them as base64 on ?inline=1 status reads.
+
+const READ_TIMEOUT_MS = 30 * 1000;
+const MAX_READ_BYTES = 50 * 1024 * 1024;
+
+function safeName(name) {
+  return String(name).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+// Results younger than this are never swept: a job's files are written before its record is
+// stored (e.g. result-cache hits), same guard as sweepOrphans in jobs/job-files.js
+function sweepMinAgeMs() {
+  return config.jobs.stalledAfterSeconds * 1000;
+}
+
+function expiryDate() {
+  return new Date(Date.now() + config.jobs.resultTtlMinutes * 60 * 1000);
+}
+
+function localSignature(jobId, fileName, expires) {
+  return crypto.createHmac('sha256', config.results.urlSecret).update(`${jobId}/${fileName}:${expires}`).digest('hex');
+}
+
+/**
+ * Path of a local result file when `expires` / `signature` (from its URL) are valid and unexpired, else null
+ */
+export function verifiedLocalResultPath(jobId, fileName, { expires, signature } = {}) {
+  const id = safeName(jobId);
+  const name = safeName(fileName);
+  const expiresAt = Number(expires);
+  if (id !== jobId || name !== fileName || !Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now()) return null;
+  const expected = Buffer.from(localSignature(id, name, expiresAt));
+  const given = Buffer.from(String(signature || ''));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return path.join(config.results.dir, id, name);
+}
+
+async function storeLocal(jobId, name, buffer, { contentType }) {
+  const id = safeName(jobId);
+  const dir = path.join(config.results.dir, id);
+  await fs.mkdir(dir, { recursive: true });
+  const fileName = safeName(name);
+  await fs.writeFile(path.join(dir, fileName), buffer);
+  const expiresAt = expiryDate();
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  return {
+    storage: 'local',
+    url: `${config.app.serverUrl}/uploads/results/${encodeURIComponent(id)}/${encodeURIComponent(fileName)}` +
+      `?expires=${expires}&signature=${localSignature(id, fileName, expires)}`,
+    fileName,
+    contentType,
+    size: buffer.length,
+    expiresAt,
+  };
+}
+
+async function storeCloudinary(jobId, name, buffer, { contentType }) {
+  // Imported lazily so worker threads only load the SDK when this backend is used
+  const { default: cloudinary } = await import('./cloudinary.js');
+  const format = (contentType.split('/')[1] || 'png').replace('jpeg', 'jpg');
+  const publicId = `${safeName(jobId)}_${path.parse(safeName(name)).name}`;
+
+  const uploadResult = await cloudinary.uploader.upload(
+    `data:${contentType};base64,${buffer.toString('base64')}`,
+    {
+      folder: config.results.cloudinaryFolder,
+      public_id: publicId,
+      resource_type: 'image',
+      type: 'private',
+      overwrite: true,
+    }
+  );
+
+  const expiresAt = expiryDate();
+  return {
+    storage: 'cloudinary',
+    url: cloudinary.utils.private_download_url(uploadResult.public_id, format, {
+      resource_type: 'image',
+      type: 'private',
+      expires_at: Math.floor(expiresAt.getTime() / 1000),
+    }),
+    publicId: uploadResult.public_id,
+    fileName: safeName(name),
+    contentType,
+    size: buffer.length,
+    expiresAt,
+  };
+}
+
+// Persist one output file for a job and describe where to fetch it
+export async function storeResultFile(jobId, name, buffer, { contentType = 'image/png' } = {}) {
+  if (config.results.storage === 'cloudinary') {
+    return storeCloudinary(jobId, name, buffer, { contentType });
+  }
+  return storeLocal(jobId, name, buffer, { contentType });
+}
+
+/**
+ * Bytes of a stored output, from the { storage, fileName, publicId, contentType } fields of its result
+ */
+export async function readResultFile(jobId, { storage, fileName, publicId, contentType = 'image/png' } = {}) {
+  if (storage === 'cloudinary') {
+    if (!publicId) throw new Error('Result has no Cloudinary public id');
+    const { default: cloudinary } = await import('./cloudinary.js');
+    const format = (contentType.split('/')[1] || 'png').replace('jpeg', 'jpg');
+    const url = cloudinary.utils.private_download_url(publicId, format, {
+      resource_type: 'image',
+      type: 'private',
+      expires_at: Math.floor(Date.now() / 1000) + 300,
+    });
+    const response = await axios({ url, method: 'GET', responseType: 'arraybuffer', timeout: READ_TIMEOUT_MS, maxContentLength: MAX_READ_BYTES });
+    return Buffer.from(response.data);
+  }
+  if (!fileName) throw new Error('Result has no stored file name');
+  return fs.readFile(path.join(config.results.dir, safeName(jobId), safeName(fileName)));
+}
+
+// Destroy private Cloudinary results whose job no longer exists (public ids start with `<jobId>_`)
+async function sweepCloudinaryResults(findExisting) {
+  const { default: cloudinary } = await import('./cloudinary.js');
+  const prefix = `${config.results.cloudinaryFolder}/`;
+  const orphans = [];
+  let cursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: 'private',
+      resource_type: 'image',
+      prefix,
+      max_results: 500,
+      ...(cursor ? { next_cursor: cursor } : {}),
+    });
+    const old = (page.resources || []).filter((r) => Date.now() - new Date(r.created_at).getTime() >= sweepMinAgeMs());
+    const jobIds = old.map((r) => r.public_id.slice(prefix.length).split('_')[0]);
+    const existing = jobIds.length > 0 ? await findExisting([...new Set(jobIds)]) : new Set();
+    old.forEach((r, i) => { if (!existing.has(jobIds[i])) orphans.push(r.public_id); });
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  // delete_resources takes at most 100 ids per call
+  for (let i = 0; i < orphans.length; i += 100) {
+    await cloudinary.api.delete_resources(orphans.slice(i, i + 100), { type: 'private', resource_type: 'image' });
+  }
+  return orphans.length;
+}
+
+// Remove result files whose job no longer exists (expired or deleted): local folders, and
+// Cloudinary assets when that backend is configured
+export async function sweepResultFiles(findExisting) {
+  let removed = 0;
+  if (config.results.storage === 'cloudinary') {
+    removed += await sweepCloudinaryResults(findExisting).catch((err) => {
+      console.warn('⚠️ Cloudinary result sweep failed:', err?.message || err);
+      return 0;
+    });
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(config.results.dir);
+  } catch {
+    return removed;
+  }
+  if (entries.length === 0) return removed;
+
+  const existing = await findExisting(entries);
+  for (const id of entries) {
+    if (existing.has(id)) continue;
+    try {
+      const stats = await fs.stat(path.join(config.results.dir, id));
+      if (Date.now() - stats.mtimeMs < sweepMinAgeMs()) continue;
+    } catch {
+      continue;
+    }
+    await fs.rm(path.join(config.results.dir, id), { recursive: true, force: true }).catch(() => {});
+    removed++;
+  }
+  return removed;
+}
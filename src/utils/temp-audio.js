@@ -0,0 +1,49 @@
+import config from '../config/config.js';
+import cloudinary from './cloudinary.js';
+
+// Background music uploaded by users for a composite (POST /api/videos/upload-audio)
+// Uploads land in config.music.tempAudioFolder and are only needed while the composite is
+// queued or running; the cleanup service destroys them once they are older than the TTL.
+
+function ttlMs() {
+  return config.music.tempAudioTtlMinutes * 60 * 1000;
+}
+
+/**
+ * Upload a music file; returns the Cloudinary result plus when the sweep may remove it
+ */
+export async function uploadTempAudio(filePath) {
+  // Cloudinary stores audio under the video resource type
+  const result = await cloudinary.uploader.upload(filePath, {
+    folder: config.music.tempAudioFolder,
+    resource_type: 'video',
+  });
+  return { ...result, expiresAt: new Date(Date.now() + ttlMs()) };
+}
+
+/**
+ * Destroy uploaded music older than the TTL; returns how many assets were removed
+ */
+export async function sweepTempAudio() {
+  const expired = [];
+  let cursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: 'upload',
+      resource_type: 'video',
+      prefix: `${config.music.tempAudioFolder}/`,
+      max_results: 500,
+      ...(cursor ? { next_cursor: cursor } : {}),
+    });
+    for (const resource of page.resources || []) {
+      if (Date.now() - new Date(resource.created_at).getTime() >= ttlMs()) expired.push(resource.public_id);
+    }
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  // delete_resources takes at most 100 ids per call
+  for (let i = 0; i < expired.length; i += 100) {
+    await cloudinary.api.delete_resources(expired.slice(i, i + 100), { type: 'upload', resource_type: 'video' });
+  }
+  return expired.length;
+}
@@ -0,0 +1,138 @@
+import { parseTemplatePhotoShape } from './photo-frame.js';
+
+// Collage layouts: a template can hold several named photo slots and text slots, in
+// coordinate_reference units like photo_container_axis / text_container_axis.
+//   photo slot: { name, x, y, width, height, shape (photo_shape fields or null), z_index, rotation }
+//   text slot:  { name, role: name | designation | phone | custom, x, y, width, height, z_index, rotation }
+// rotation is clockwise degrees around the box centre; higher z_index draws on top.
+// Templates saved before slots existed only have the single axis fields; templatePhotoSlots /
+// templateTextSlots turn those into a one-slot layout so readers can treat every template alike.
+
+export const TEXT_SLOT_ROLES = ['name', 'designation', 'phone', 'custom'];
+export const MAX_PHOTO_SLOTS = 10;
+export const MAX_TEXT_SLOTS = 10;
+
+function finite(value, field, fallback = null) {
+  if (value === undefined || value === null || value === '') {
+    if (fallback === null) throw new Error(`${field} is required`);
+    return fallback;
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`${field} must be a number`);
+  return n;
+}
+
+// Shared box / z-order / rotation fields of a slot
+function slotGeometry(raw, label, index) {
+  const width = finite(raw.width, `${label}.width`);
+  const height = finite(raw.height, `${label}.height`);
+  if (width <= 0 || height <= 0) throw new Error(`${label} width and height must be positive`);
+  const rotation = finite(raw.rotation, `${label}.rotation`, 0) % 360;
+  return {
+    x: finite(raw.x, `${label}.x`),
+    y: finite(raw.y, `${label}.y`),
+    width,
+    height,
+    z_index: Math.round(finite(raw.z_index, `${label}.z_index`, index)),
+    rotation: rotation === 0 ? 0 : rotation, // no -0
+  };
+}
+
+function slotList(value, field, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(list)) throw new Error(`${field} must be an array`);
+  if (list.length > max) throw new Error(`At most ${max} ${field} are supported`);
+  return list;
+}
+
+function checkUniqueNames(slots, field) {
+  const seen = new Set();
+  for (const slot of slots) {
+    if (seen.has(slot.name)) throw new Error(`Duplicate ${field} name "${slot.name}"`);
+    seen.add(slot.name);
+  }
+}
+
+/**
+ * Parse the `photo_slots` upload field (JSON string or array).
+ * Returns sanitised slots, or null when not provided; throws on invalid input.
+ */
+export function parsePhotoSlots(value) {
+  const list = slotList(value, 'photo_slots', MAX_PHOTO_SLOTS);
+  if (!list) return null;
+  const slots = list.map((raw, i) => {
+    const label = `photo_slots[${i}]`;
+    if (!raw || typeof raw !== 'object') throw new Error(`${label} must be an object`);
+    let shape = null;
+    try {
+      shape = parseTemplatePhotoShape(raw.shape);
+    } catch (e) {
+      throw new Error(`${label}.shape: ${e.message}`);
+    }
+    return {
+      name: String(raw.name || `photo_${i + 1}`).trim(),
+      ...slotGeometry(raw, label, i),
+      shape,
+    };
+  });
+  checkUniqueNames(slots, 'photo slot');
+  return slots;
+}
+
+/**
+ * Parse the `text_slots` upload field (JSON string or array).
+ * `role` says which user detail fills the slot; it defaults to the slot name when that is a role.
+ */
+export function parseTextSlots(value) {
+  const list = slotList(value, 'text_slots', MAX_TEXT_SLOTS);
+  if (!list) return null;
+  const slots = list.map((raw, i) => {
+    const label = `text_slots[${i}]`;
+    if (!raw || typeof raw !== 'object') throw new Error(`${label} must be an object`);
+    const name = String(raw.name || raw.role || `text_${i + 1}`).trim();
+    const role = String(raw.role || (TEXT_SLOT_ROLES.includes(name) ? name : 'custom')).toLowerCase();
+    if (!TEXT_SLOT_ROLES.includes(role)) {
+      throw new Error(`${label}.role must be one of: ${TEXT_SLOT_ROLES.join(', ')}`);
+    }
+    return { name, role, ...slotGeometry(raw, label, i) };
+  });
+  checkUniqueNames(slots, 'text slot');
+  return slots;
+}
+
+/**
+ * Slot -> { x, y, width, height } axis, for the legacy single-axis fields
+ */
+export function slotAxis(slot) {
+  return { x: slot.x, y: slot.y, width: slot.width, height: slot.height };
+}
+
+/**
+ * A template's photo slots, or one slot built from photo_container_axis / photo_shape
+ */
+export function templatePhotoSlots(template = {}) {
+  if (Array.isArray(template.photo_slots) && template.photo_slots.length > 0) return template.photo_slots;
+  const axis = template.photo_container_axis || { x: 0, y: 0, width: 100, height: 100 };
+  return [{ name: 'photo', ...slotAxis(axis), shape: template.photo_shape || null, z_index: 0, rotation: 0 }];
+}
+
+/**
+ * A template's text slots, or one 'name' slot built from text_container_axis
+ */
+export function templateTextSlots(template = {}) {
+  if (Array.isArray(template.text_slots) && template.text_slots.length > 0) return template.text_slots;
+  const axis = template.text_container_axis || { x: 0, y: 0, width: 120, height: 50 };
+  return [{ name: 'name', role: 'name', ...slotAxis(axis), z_index: 0, rotation: 0 }];
+}
+
+/**
+ * Slot for an overlay: by `slot` name (or text role), otherwise by position in the overlay list
+ */
+export function findSlot(slots, overlay, index) {
+  if (overlay?.slot !== undefined && overlay.slot !== null && overlay.slot !== '') {
+    const key = String(overlay.slot);
+    return slots.find((s) => s.name === key) || slots.find((s) => s.role === key) || null;
+  }
+  return slots[index] || null;
+}
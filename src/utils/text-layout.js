@@ -0,0 +1,143 @@
+import { parseColor } from './color.js';
+import { detectScript } from './font-registry.js';
+
+// Text overlay styling shared by video composites (drawtext) and image renders (SVG)
+// Overlay fields, all optional (sizes are in the same coordinate space as fontSize):
+//   textAlign: left | center | right          verticalAlign: top | middle | bottom
+//   wrap: true to word-wrap to `width`        lineHeight: line advance as a multiple of fontSize (1.2)
+//   padding: inset inside the box             strokeColor / strokeWidth: outline (black; 0 disables)
+//   shadowColor / shadowOffsetX / shadowOffsetY: drop shadow (off unless an offset is set)
+//   opacity: 0-1 for text and background      borderRadius: rounded background corners
+
+const ALIGN = ['left', 'center', 'right'];
+const VERTICAL_ALIGN = ['top', 'middle', 'bottom'];
+
+// Average advance per grapheme as a fraction of the font size. We don't measure glyphs, so
+// wrapping is an estimate; Indic clusters (consonant + vowel signs) render wider than Latin letters
+const CHAR_WIDTH = { latin: 0.55, default: 0.75 };
+const SPACE_WIDTH = 0.3;
+
+function number(value, fallback, { min = -Infinity, max = Infinity } = {}) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function pick(value, allowed, fallback) {
+  const v = String(value || '').trim().toLowerCase();
+  if (v === 'centre') return 'center';
+  return allowed.includes(v) ? v : fallback;
+}
+
+/**
+ * Normalise a text overlay's styling fields, with defaults matching the original rendering
+ * (left/top aligned, no wrapping, 2px black outline, no shadow)
+ */
+export function textStyle(text = {}) {
+  const shadowOffsetX = number(text.shadowOffsetX, 0);
+  const shadowOffsetY = number(text.shadowOffsetY, 0);
+  return {
+    align: pick(text.textAlign, ALIGN, 'left'),
+    verticalAlign: pick(text.verticalAlign, VERTICAL_ALIGN, 'top'),
+    wrap: text.wrap === true || text.wrap === 'true',
+    lineHeight: number(text.lineHeight, 1.2, { min: 0.5, max: 5 }),
+    padding: number(text.padding, 0, { min: 0 }),
+    color: parseColor(text.color) ? text.color : '#ffffff',
+    strokeColor: parseColor(text.strokeColor) ? text.strokeColor : 'black',
+    // null = renderer's legacy outline (2px in video pixels for composites)
+    strokeWidth: number(text.strokeWidth, null, { min: 0, max: 50 }),
+    shadow: shadowOffsetX || shadowOffsetY
+      ? { color: parseColor(text.shadowColor) ? text.shadowColor : 'rgba(0,0,0,0.6)', offsetX: shadowOffsetX, offsetY: shadowOffsetY }
+      : null,
+    opacity: number(text.opacity, 1, { min: 0, max: 1 }),
+    backgroundColor: text.backgroundColor && text.backgroundColor !== 'transparent' ? text.backgroundColor : null,
+    borderRadius: number(text.borderRadius, 0, { min: 0 }),
+  };
+}
+
+function measure(word, fontSize, charWidth) {
+  let width = 0;
+  for (const { segment } of new Intl.Segmenter().segment(word)) {
+    width += /\s/.test(segment) ? SPACE_WIDTH : charWidth;
+  }
+  return width * fontSize;
+}
+
+// Break a word that is wider than the line on its own into grapheme chunks
+function splitLongWord(word, maxWidth, fontSize, charWidth) {
+  const chunks = [];
+  let current = '';
+  for (const { segment } of new Intl.Segmenter().segment(word)) {
+    if (current && measure(current + segment, fontSize, charWidth) > maxWidth) {
+      chunks.push(current);
+      current = '';
+    }
+    current += segment;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split text into lines: explicit newlines always break; with `maxWidth` words are wrapped greedily
+ */
+export function wrapLines(text, { fontSize, maxWidth } = {}) {
+  const paragraphs = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+  if (!maxWidth || maxWidth <= 0) return paragraphs;
+
+  const charWidth = detectScript(text) === 'latin' ? CHAR_WIDTH.latin : CHAR_WIDTH.default;
+  const lines = [];
+  for (const paragraph of paragraphs) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate, fontSize, charWidth) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      if (measure(word, fontSize, charWidth) <= maxWidth) {
+        line = word;
+      } else {
+        const chunks = splitLongWord(word, maxWidth, fontSize, charWidth);
+        line = chunks.pop() || '';
+        lines.push(...chunks);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Lay out a text overlay inside its (already scaled) box; `scale` converts padding to output pixels.
+ * Returns { lines: [{ text, top }], inner: { left, width }, lineAdvance } in output pixels;
+ * horizontal alignment is left to the renderer since only it knows the real line widths.
+ */
+export function layoutText(text, style, box, fontSize, scale = 1) {
+  const padding = Math.round(style.padding * scale);
+  const inner = { left: box.left + padding, top: box.top + padding, width: Math.max(1, box.width - padding * 2), height: Math.max(1, box.height - padding * 2) };
+  const lines = wrapLines(text, { fontSize, maxWidth: style.wrap ? inner.width : 0 });
+  const lineAdvance = Math.round(fontSize * style.lineHeight);
+  const blockHeight = (lines.length - 1) * lineAdvance + fontSize;
+
+  let top = inner.top;
+  if (style.verticalAlign === 'middle') top = inner.top + Math.round((inner.height - blockHeight) / 2);
+  else if (style.verticalAlign === 'bottom') top = inner.top + inner.height - blockHeight;
+
+  return {
+    lines: lines.map((line, i) => ({ text: line, top: top + i * lineAdvance })),
+    inner,
+    lineAdvance,
+  };
+}
+
+/**
+ * SVG <rect> for a filled (optionally rounded) background box; opacity multiplies the colour's alpha
+ */
+export function roundedRectSvg({ left = 0, top = 0, width, height }, radius, color, opacity = 1) {
+  const c = parseColor(color) || parseColor('rgba(0,0,0,0.8)');
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  return `<rect x="${left}" y="${top}" width="${width}" height="${height}" rx="${r}" ry="${r}"` +
+    ` fill="rgb(${c.r},${c.g},${c.b})" fill-opacity="${Number((c.alpha * opacity).toFixed(3))}"/>`;
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { runFfmpeg } from './ffmpeg-runner.js';
+
+// Poster frame and animated preview for video templates (generated by a background job after upload)
+// - poster: full-size JPEG at a requested time, or the first non-black frame from a few samples
+// - preview: short, small, looping animated WebP (or GIF) for catalogue grids
+
+export const PREVIEW_FORMATS = ['webp', 'gif'];
+const PREVIEW_SECONDS = 3;
+const PREVIEW_WIDTH = 240;
+const PREVIEW_FPS = 10;
+// Auto poster candidates, as fractions of the duration (intros often fade in from black)
+const POSTER_SAMPLES = [0.1, 0.25, 0.5, 0.75, 0.05];
+// Long videos are only sampled within their opening seconds, so seeks stay short
+const POSTER_SAMPLE_WINDOW_SECONDS = 60;
+// Frames darker / flatter than this count as black (0-255 luma mean / channel stdev)
+const BLACK_MEAN = 24;
+const BLACK_STDEV = 6;
+
+// Output files go next to the video unless `outDir` is given (e.g. the video is a shared cache entry)
+function sidecarPath(videoPath, suffix, outDir = path.dirname(videoPath)) {
+  const base = path.basename(videoPath, path.extname(videoPath));
+  return path.join(outDir, `${base}_${suffix}`);
+}
+
+async function grabFrame(videoPath, time, outPath, { width, signal } = {}) {
+  const args = ['-ss', String(time), '-i', videoPath, '-frames:v', '1'];
+  if (width) args.push('-vf', `scale=${width}:-2`);
+  args.push('-q:v', '2', '-y', outPath);
+  await runFfmpeg(args, { label: 'FFmpeg poster frame', signal });
+  if (!fs.existsSync(outPath)) throw new Error(`No frame at ${time}s`);
+  return outPath;
+}
+
+/**
+ * Time (seconds) of the first sampled frame that isn't black; falls back to the brightest sample
+ */
+export async function findPosterTime(videoPath, duration, { outDir, signal } = {}) {
+  if (!(duration > 0)) return 0;
+  const window = Math.min(duration, POSTER_SAMPLE_WINDOW_SECONDS);
+  let best = { time: 0, mean: -1 };
+  for (const fraction of POSTER_SAMPLES) {
+    const time = Number((window * fraction).toFixed(2));
+    const samplePath = sidecarPath(videoPath, `sample_${Math.round(fraction * 100)}.png`, outDir);
+    try {
+      await grabFrame(videoPath, time, samplePath, { width: 64, signal });
+      const { channels } = await sharp(samplePath).removeAlpha().stats();
+      const mean = channels.reduce((sum, c) => sum + c.mean, 0) / channels.length;
+      const stdev = Math.max(...channels.map((c) => c.stdev));
+      if (mean >= BLACK_MEAN && stdev >= BLACK_STDEV) return time;
+      if (mean > best.mean) best = { time, mean };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+    } finally {
+      try { fs.unlinkSync(samplePath); } catch (_) {}
+    }
+  }
+  return best.time;
+}
+
+/**
+ * Write the poster JPEG next to the video; returns its path
+ */
+export async function extractPoster(videoPath, time, { outDir, signal } = {}) {
+  return grabFrame(videoPath, time, sidecarPath(videoPath, 'poster.jpg', outDir), { signal });
+}
+
+/**
+ * Render a looping low-res preview (PREVIEW_SECONDS from `start`) next to the video; returns its path
+ */
+export async function renderPreview(videoPath, { start = 0, format = 'webp', outDir, signal } = {}) {
+  const outPath = sidecarPath(videoPath, `preview.${format}`, outDir);
+  const scale = `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2:flags=lanczos`;
+  const args = ['-ss', String(start), '-t', String(PREVIEW_SECONDS), '-i', videoPath, '-an'];
+  if (format === 'gif') {
+    args.push('-filter_complex', `[0:v]${scale},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5`);
+  } else {
+    args.push('-vf', scale, '-c:v', 'libwebp', '-quality', '60', '-compression_level', '6');
+  }
+  args.push('-loop', '0', '-y', outPath);
+  await runFfmpeg(args, { label: `FFmpeg ${format} preview`, signal });
+  return outPath;
+}
+
+/**
+ * Poster + preview for an uploaded video. `posterTime` (seconds) overrides the auto-selected frame.
+ * Returns { posterPath, previewPath, posterTime }; a step that fails yields null so the other can still be used.
+ */
+export async function generateVideoPreviews(videoPath, { duration = 0, posterTime = null, format = 'webp', outDir, signal } = {}) {
+  const result = { posterPath: null, previewPath: null, posterTime: null };
+
+  try {
+    const requested = Number.isFinite(posterTime) && posterTime >= 0 ? posterTime : null;
+    result.posterTime = requested !== null
+      ? (duration > 0 ? Math.min(requested, Math.max(0, duration - 0.1)) : requested)
+      : await findPosterTime(videoPath, duration, { outDir, signal });
+    result.posterPath = await extractPoster(videoPath, result.posterTime, { outDir, signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn('⚠️ Poster frame failed:', err.message);
+  }
+
+  try {
+    // Start the preview at the poster so the still and the animation match
+    const start = duration > 0 ? Math.max(0, Math.min(result.posterTime || 0, duration - PREVIEW_SECONDS)) : 0;
+    result.previewPath = await renderPreview(videoPath, { start, format, outDir, signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn('⚠️ Animated preview failed:', err.message);
+  }
+
+  return result;
+}